@@ -1,7 +1,6 @@
 'use strict';
 
 const Electron = require('electron');
-const Util = require('util');
 const Fs = require('fire-fs');
 const Path = require('fire-path');
 const Winston = require('winston');
@@ -10,13 +9,143 @@ const Chokidar = require('chokidar');
 const Async = require('async');
 const App = require('app');
 const _ = require('lodash');
+const LogUtils = require('../share/log-utils');
 
 // ==========================
 // console log API
 // ==========================
 
 let _consoleConnected = false;
-let _logs = [];
+
+const _type2level = {
+  log: 'normal',
+  success: 'success',
+  failed: 'failed',
+  info: 'info',
+  warn: 'warn',
+  error: 'error',
+  fatal: 'fatal',
+};
+
+function _callStack () {
+  let err = new Error('dummy');
+  let lines = err.stack.split('\n');
+
+  // skip 'Error: dummy', _callStack, _log and the Editor.xxx log function
+  return lines.splice(4).join('\n');
+}
+
+// resolve urls such as packages:// and editor-framework:// to the path,
+// and map the files built in bin/dev back to the package source
+function _resolveFrame ( frame ) {
+  let file = frame.file;
+
+  let matches = /^([a-zA-Z][\w\-]*:)\/\//.exec(file);
+  if ( matches && Editor._protocol2fn && Editor._protocol2fn[matches[1]] ) {
+    file = Editor.url(file) || file;
+  }
+
+  if ( Editor.Package ) {
+    let packageInfo = Editor.Package.packageInfo(file);
+    if (
+      packageInfo &&
+      packageInfo._destPath &&
+      packageInfo._destPath !== packageInfo._path &&
+      Path.contains( packageInfo._destPath, file )
+    ) {
+      file = Path.join( packageInfo._path, Path.relative(packageInfo._destPath, file) );
+    }
+  }
+
+  frame.file = file;
+  return frame;
+}
+
+function _resolveFrames ( frames ) {
+  return frames.map(_resolveFrame);
+}
+
+function _packageFromFrames ( frames ) {
+  if ( !Editor.Package ) {
+    return '';
+  }
+
+  for ( let i = 0; i < frames.length; ++i ) {
+    let packageInfo = Editor.Package.packageInfo(frames[i].file);
+    if ( packageInfo ) {
+      return packageInfo.name;
+    }
+  }
+
+  return '';
+}
+
+function _logRecord ( record ) {
+  if ( _consoleConnected ) {
+    Editor.Log.add(record);
+  }
+
+  Winston[_type2level[record.type]](record.message);
+
+  // NOTE: fatal error will close app immediately, no need for ipc.
+  if ( record.type !== 'fatal' ) {
+    Editor.sendToWindows(`console:${record.type}`, record.message, record);
+  }
+}
+
+function _log ( type, args, packageName ) {
+  let text = LogUtils.format(args);
+  let stack = _callStack();
+  let callFrames = _resolveFrames(LogUtils.parseStack(stack));
+  let frames = [];
+
+  if ( type === 'error' || type === 'fatal' ) {
+    let errorStack = LogUtils.errorStack(args);
+
+    if ( errorStack ) {
+      // NOTE: Util.format renders the error as [Error: message], show its own stack instead of the call stack
+      text = LogUtils.format(args.map(arg => {
+        return arg instanceof Error && arg.stack ? arg.stack : arg;
+      }));
+      frames = _resolveFrames(LogUtils.parseStack(errorStack));
+    } else {
+      text = text + '\n' + stack;
+      frames = callFrames;
+    }
+  }
+
+  _logRecord(LogUtils.create( type, text, args, {
+    process: 'core',
+    package: packageName || _packageFromFrames(callFrames),
+    frames: frames,
+  }));
+}
+
+// ==========================
+// logger API
+// ==========================
+
+// NOTE: the order is the same as the winston levels
+const _loggerLevels = [
+  'normal',
+  'success',
+  'failed',
+  'info',
+  'warn',
+  'error',
+  'fatal',
+];
+
+function _loggerProfile () {
+  return Editor.loadProfile( 'loggers', 'global', {
+    levels: {},
+  });
+}
+
+function _loggerEnabled ( name, level ) {
+  let threshold = Editor.loggerLevel(name);
+  return _loggerLevels.indexOf(level) >= _loggerLevels.indexOf(threshold);
+}
 
 /**
  * @module Editor
@@ -29,13 +158,7 @@ let _logs = [];
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.log = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'log', message: text });
-
-  Winston.normal(text);
-  Editor.sendToWindows('console:log',text);
+  _log( 'log', args );
 };
 
 /**
@@ -45,13 +168,7 @@ Editor.log = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.success = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'success', message: text });
-
-  Winston.success(text);
-  Editor.sendToWindows('console:success',text);
+  _log( 'success', args );
 };
 
 /**
@@ -61,13 +178,7 @@ Editor.success = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.failed = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'failed', message: text });
-
-  Winston.failed(text);
-  Editor.sendToWindows('console:failed',text);
+  _log( 'failed', args );
 };
 
 /**
@@ -77,13 +188,7 @@ Editor.failed = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.info = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'info', message: text });
-
-  Winston.info(text);
-  Editor.sendToWindows('console:info',text);
+  _log( 'info', args );
 };
 
 /**
@@ -94,13 +199,7 @@ Editor.info = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.warn = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'warn', message: text });
-
-  Winston.warn(text);
-  Editor.sendToWindows('console:warn',text);
+  _log( 'warn', args );
 };
 
 /**
@@ -111,17 +210,7 @@ Editor.warn = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.error = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  let err = new Error('dummy');
-  let lines = err.stack.split('\n');
-  text = text + '\n' + lines.splice(2).join('\n');
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'error', message: text });
-
-  Winston.error(text);
-  Editor.sendToWindows('console:error',text);
+  _log( 'error', args );
 };
 
 /**
@@ -131,17 +220,7 @@ Editor.error = function (...args) {
  * @param {...*} [args] - whatever arguments the message needs
  */
 Editor.fatal = function (...args) {
-  let text = Util.format.apply(Util, args);
-
-  let e = new Error('dummy');
-  let lines = e.stack.split('\n');
-  text = text + '\n' + lines.splice(2).join('\n');
-
-  if ( _consoleConnected )
-    _logs.push({ type: 'fatal', message: text });
-
-  Winston.fatal(text);
-  // NOTE: fatal error will close app immediately, no need for ipc.
+  _log( 'fatal', args );
 };
 
 /**
@@ -158,10 +237,91 @@ Editor.connectToConsole = function () {
  * @method clearLog
  */
 Editor.clearLog = function () {
-  _logs = [];
+  Editor.Log.clear();
   Editor.sendToAll('console:clear');
 };
 
+/**
+ * Create a logger for the namespace. The logger has the same level methods as Editor:
+ * `normal`, `success`, `failed`, `info`, `warn`, `error` and `fatal`. The logs below the
+ * level threshold of the namespace will be discarded, and the logs will be recorded with
+ * the namespace as its package.
+ * @method logger
+ * @param {string} name - The namespace of the logger, usually it is the package name.
+ * @return {object}
+ * @see Editor.setLoggerLevel
+ * @example
+ * ```js
+ * let logger = Editor.logger('foobar');
+ * logger.info('foobar is ready');
+ *
+ * // only show warnings and errors from foobar
+ * Editor.setLoggerLevel('foobar', 'warn');
+ * ```
+ */
+Editor.logger = function ( name ) {
+  let logger = {
+    name: name,
+  };
+
+  _loggerLevels.forEach(level => {
+    let type = level === 'normal' ? 'log' : level;
+
+    logger[level] = function (...args) {
+      if ( !_loggerEnabled( name, level ) ) {
+        return;
+      }
+
+      _log( type, args, name );
+    };
+  });
+
+  return logger;
+};
+
+/**
+ * Set the level threshold of the logger namespace, the threshold is saved in the `loggers` profile of `global`.
+ * @method setLoggerLevel
+ * @param {string} name - The namespace of the logger
+ * @param {string} level - One of `normal`, `success`, `failed`, `info`, `warn`, `error` and `fatal`.
+ * Pass `null` to reset it to `normal`.
+ */
+Editor.setLoggerLevel = function ( name, level ) {
+  if ( level && _loggerLevels.indexOf(level) === -1 ) {
+    Editor.error( 'Failed to set logger level %s for %s, the level is invalid.', level, name );
+    return;
+  }
+
+  let profile = _loggerProfile();
+  if ( !profile ) {
+    return;
+  }
+
+  if ( !level || level === 'normal' ) {
+    delete profile.levels[name];
+  } else {
+    profile.levels[name] = level;
+  }
+  profile.save();
+
+  Editor.sendToWindows('console:logger-level-changed', name, level || 'normal');
+};
+
+/**
+ * Get the level threshold of the logger namespace
+ * @method loggerLevel
+ * @param {string} name - The namespace of the logger
+ * @return {string}
+ */
+Editor.loggerLevel = function ( name ) {
+  let profile = _loggerProfile();
+  if ( !profile || !profile.levels[name] ) {
+    return 'normal';
+  }
+
+  return profile.levels[name];
+};
+
 // ==========================
 // pre-require modules
 // ==========================
@@ -180,9 +340,222 @@ require('./ipc-init');
 // ==========================
 
 let _path2profiles = {};
+let _path2profileInfo = {};
+let _profileWatcher = null;
+let _name2migrations = {};
+let _name2schema = {};
+
+// NOTE: functions such as save and clear will be dropped
+function _profileData ( profile ) {
+  return JSON.parse(JSON.stringify(profile));
+}
+
+function _changedKeys ( oldData, newData ) {
+  let keys = _.union( Object.keys(oldData), Object.keys(newData) );
+  return keys.filter(key => {
+    return JSON.stringify(oldData[key]) !== JSON.stringify(newData[key]);
+  });
+}
+
+function _profileChanged ( path, data ) {
+  let info = _path2profileInfo[path];
+  let keys = _changedKeys( info.data, data );
+  info.data = data;
+
+  if ( keys.length ) {
+    Editor.sendToAll( 'profile:changed', info.name, info.type, keys, data );
+  }
+}
+
+// NOTE: write to a temp file and rename it, so the profile will not be half-written after a crash.
+// The last valid profile is kept as `${path}.bak`.
+function _writeProfileFile ( path, json ) {
+  if ( Fs.existsSync(path) ) {
+    try {
+      let lastJson = Fs.readFileSync(path, 'utf8');
+      JSON.parse(lastJson);
+      Fs.writeFileSync(`${path}.bak`, lastJson, 'utf8');
+    } catch ( err ) {
+      // the corrupted profile should not override the backup
+    }
+  }
+
+  let tmpPath = `${path}.tmp`;
+  Fs.writeFileSync(tmpPath, json, 'utf8');
+  Fs.renameSync(tmpPath, path);
+}
+
+// NOTE: if the profile is corrupted, move it to `${path}.corrupted-${timestamp}` and restore it from the backup
+function _readProfileFile ( path ) {
+  let data;
+  try {
+    data = JSON.parse(Fs.readFileSync(path));
+    return data;
+  } catch ( err ) {
+    let corruptedPath = `${path}.corrupted-${Date.now()}`;
+    Editor.warn(
+      'Failed to load profile %s, error message: %s. The file is moved to %s',
+      path, err.message, corruptedPath
+    );
+
+    try {
+      Fs.renameSync(path, corruptedPath);
+    } catch ( renameErr ) {
+      Editor.warn( 'Failed to move the corrupted profile %s, error message: %s', path, renameErr.message );
+    }
+  }
+
+  let bakPath = `${path}.bak`;
+  if ( !Fs.existsSync(bakPath) ) {
+    return null;
+  }
+
+  try {
+    let json = Fs.readFileSync(bakPath, 'utf8');
+    data = JSON.parse(json);
+    _writeProfileFile(path, json);
+    Editor.warn( 'Profile %s is restored from the backup %s', path, bakPath );
+
+    return data;
+  } catch ( err ) {
+    Editor.warn( 'Failed to restore profile %s from the backup, error message: %s', path, err.message );
+  }
+
+  return null;
+}
+
 function _saveProfile ( path, profile ) {
   let json = JSON.stringify(profile, null, 2);
-  Fs.writeFileSync(path, json, 'utf8');
+  _writeProfileFile(path, json);
+
+  _profileChanged( path, JSON.parse(json) );
+}
+
+function _onProfileFileChanged ( path ) {
+  let profile = _path2profiles[path];
+  if ( !profile ) {
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Fs.readFileSync(path));
+  } catch ( err ) {
+    Editor.warn( 'Failed to reload profile %s, error message: %s', path, err.message );
+    return;
+  }
+
+  // NOTE: the file written by ourself will not change anything
+  if ( !_changedKeys( _path2profileInfo[path].data, data ).length ) {
+    return;
+  }
+
+  profile.clear();
+  _.assign(profile, data);
+  _profileChanged( path, data );
+}
+
+function _latestProfileVersion ( name ) {
+  let migrations = _name2migrations[name];
+  if ( !migrations || !migrations.length ) {
+    return 0;
+  }
+
+  return migrations[migrations.length-1].version;
+}
+
+// NOTE: the migrations run on a clone, return null if any of them failed and the data is left untouched
+function _migrateProfile ( name, data ) {
+  let migrations = _name2migrations[name];
+  if ( !migrations ) {
+    return data;
+  }
+
+  let version = data.version || 0;
+  let migrated = _.cloneDeep(data);
+
+  for ( let i = 0; i < migrations.length; ++i ) {
+    let migration = migrations[i];
+    if ( migration.version <= version ) {
+      continue;
+    }
+
+    try {
+      let result = migration.fn(migrated);
+      if ( result !== undefined ) {
+        migrated = result;
+      }
+    } catch ( err ) {
+      Editor.error(
+        'Failed to migrate profile %s to version %d, error message: %s',
+        name, migration.version, err.stack
+      );
+      return null;
+    }
+
+    migrated.version = migration.version;
+  }
+
+  return migrated;
+}
+
+function _typeOf ( value ) {
+  if ( value === null ) {
+    return 'null';
+  }
+
+  if ( Array.isArray(value) ) {
+    return 'array';
+  }
+
+  return typeof value;
+}
+
+// NOTE: the layer will not be created until we write to it
+function _layerProfile ( name, type, create ) {
+  let path = Editor._type2profilepath[type];
+  if ( !path ) {
+    return null;
+  }
+
+  let file = Path.join(path, name+'.json');
+  if ( !_path2profiles[file] && !create && !Fs.existsSync(file) ) {
+    return null;
+  }
+
+  return Editor.loadProfile( name, type );
+}
+
+function _resolveLayer ( name, key ) {
+  for ( let i = 0; i < Editor.profileLayers.length; ++i ) {
+    let type = Editor.profileLayers[i];
+    let profile = _layerProfile( name, type, false );
+
+    if ( profile && profile[key] !== undefined && typeof profile[key] !== 'function' ) {
+      return { type: type, profile: profile };
+    }
+  }
+
+  return null;
+}
+
+function _watchProfile ( path ) {
+  if ( !_profileWatcher ) {
+    _profileWatcher = Chokidar.watch([], {
+      ignoreInitial: true,
+      persistent: true,
+    });
+
+    _profileWatcher
+      .on('add', _onProfileFileChanged)
+      .on('change', _onProfileFileChanged)
+      .on('error', err => {
+        Editor.error('Profile Watcher Error: %s', err.message);
+      })
+      ;
+  }
+
+  _profileWatcher.add(path);
 }
 
 /**
@@ -196,6 +569,15 @@ function _saveProfile ( path, profile ) {
  * @return {object} A profile object with two additional function:
  *  - save: save the profile.
  *  - clear: clear all properties in the profile.
+ *
+ * Before reconciling the data with `defaultProfile`, the profile will be migrated by the functions
+ * registered via {@link Editor.registerProfileMigration}. If a schema is registered via
+ * {@link Editor.registerProfileSchema}, the invalid fields will be reported and kept,
+ * otherwise the unknown fields are deleted and the fields in different type are reset.
+ *
+ * When the profile is saved or its file is changed on the disk, the profile will be updated
+ * and the ipc message `profile:changed` will be sent to core and all windows with
+ * `name`, `type`, the changed keys and the profile data.
  * @see Editor.registerProfilePath
  * @example
  * ```js
@@ -240,32 +622,52 @@ Editor.loadProfile = function ( name, type, defaultProfile ) {
     },
   };
 
-  profile = defaultProfile || {};
+  let data = Fs.existsSync(path) ? _readProfileFile(path) : null;
+
+  if ( !data ) {
+    profile = defaultProfile || {};
+
+    let version = _latestProfileVersion(name);
+    if ( version ) {
+      profile.version = version;
+    }
 
-  if ( !Fs.existsSync(path) ) {
-    Fs.writeFileSync(path, JSON.stringify(profile, null, 2));
+    _writeProfileFile(path, JSON.stringify(profile, null, 2));
   }
   else {
     try {
-      profile = JSON.parse(Fs.readFileSync(path));
+      let migrated = _migrateProfile( name, data );
+      profile = migrated || data;
+
+      let schema = _name2schema[name];
+      if ( schema ) {
+        // NOTE: report the invalid fields instead of discarding them
+        Editor.validateProfile( name, profile ).forEach(error => {
+          Editor.warn( 'Invalid field "%s" in profile %s: %s', error.key, name, error.message );
+        });
+      }
 
       if ( defaultProfile ) {
-        for ( let p in profile ) {
-          if ( defaultProfile[p] === undefined ) {
-            delete profile[p];
+        if ( !schema ) {
+          for ( let p in profile ) {
+            if ( p !== 'version' && defaultProfile[p] === undefined ) {
+              delete profile[p];
+            }
           }
         }
 
         for ( let p in defaultProfile ) {
           if (profile[p] === undefined ||
-              typeof(profile[p]) !== typeof(defaultProfile[p]))
+              (!schema && typeof(profile[p]) !== typeof(defaultProfile[p])))
             {
               profile[p] = defaultProfile[p];
             }
         }
+      }
 
-        // save again
-        Fs.writeFileSync(path, JSON.stringify(profile, null, 2));
+      // save again, keep the file as it was if the migration failed
+      if ( migrated && (defaultProfile || _name2migrations[name]) ) {
+        _writeProfileFile(path, JSON.stringify(profile, null, 2));
       }
     } catch ( err ) {
       if ( err ) {
@@ -277,16 +679,166 @@ Editor.loadProfile = function ( name, type, defaultProfile ) {
 
   profile = _.assign(profile, profileProto);
   _path2profiles[path] = profile;
+  _path2profileInfo[path] = {
+    name: name,
+    type: type,
+    data: _profileData(profile),
+  };
+  _watchProfile(path);
 
   return profile;
 };
 
+/**
+ * The scopes searched by the layered profile, from the highest priority to the lowest.
+ * @property profileLayers
+ * @type {string[]}
+ */
+Editor.profileLayers = ['project', 'local', 'global'];
+
+/**
+ * Load a layered profile via `name`. A key resolves from the profile in the scopes of
+ * {@link Editor.profileLayers} one by one (project, local, global by default), and then
+ * the `defaultProfile`. The scopes which are not registered or have no file are skipped.
+ * @method loadLayeredProfile
+ * @param {string} name - The name of the profile.
+ * @param {object} [defaultProfile] - The values used when no scope contains the key.
+ * @return {object} A layered profile with the functions:
+ *  - get(key): get the resolved value.
+ *  - source(key): get the scope the value comes from, `default` for the default profile, `null` if not found.
+ *  - set(key, value, [scope]): write the value to the scope, `local` by default.
+ *  - remove(key, [scope]): remove the value from the scope, `local` by default.
+ *  - resolve(): get all the resolved values.
+ * @example
+ * ```js
+ * // the team-wide settings are in the project, the personal ones are in the local
+ * Editor.registerProfilePath( 'project', '~/foo/bar/settings');
+ *
+ * let settings = Editor.loadLayeredProfile( 'settings', { tabSize: 2 });
+ * settings.set( 'tabSize', 4, 'local' );
+ * settings.get('tabSize'); // 4
+ * settings.source('tabSize'); // 'local'
+ * ```
+ */
+Editor.loadLayeredProfile = function ( name, defaultProfile ) {
+  defaultProfile = defaultProfile || {};
+
+  return {
+    name: name,
+
+    get ( key ) {
+      let layer = _resolveLayer( name, key );
+      return layer ? layer.profile[key] : defaultProfile[key];
+    },
+
+    source ( key ) {
+      let layer = _resolveLayer( name, key );
+      if ( layer ) {
+        return layer.type;
+      }
+
+      return defaultProfile[key] !== undefined ? 'default' : null;
+    },
+
+    set ( key, value, scope ) {
+      scope = scope || 'local';
+
+      let profile = _layerProfile( name, scope, true );
+      if ( !profile ) {
+        Editor.error( 'Failed to write profile %s to scope %s, please register it first.', name, scope );
+        return false;
+      }
+
+      profile[key] = value;
+      profile.save();
+      return true;
+    },
+
+    remove ( key, scope ) {
+      let profile = _layerProfile( name, scope || 'local', false );
+      if ( !profile || profile[key] === undefined ) {
+        return false;
+      }
+
+      delete profile[key];
+      profile.save();
+      return true;
+    },
+
+    resolve () {
+      let result = _.assign({}, defaultProfile);
+
+      for ( let i = Editor.profileLayers.length-1; i >= 0; --i ) {
+        let profile = _layerProfile( name, Editor.profileLayers[i], false );
+        if ( profile ) {
+          _.assign(result, _profileData(profile));
+        }
+      }
+
+      return result;
+    },
+  };
+};
+
+/**
+ * Validate the profile data with the schema registered via {@link Editor.registerProfileSchema}
+ * @method validateProfile
+ * @param {string} name - The name of the profile.
+ * @param {object} data - The profile data.
+ * @return {object[]} The invalid fields, each contains `key` and `message`.
+ */
+Editor.validateProfile = function ( name, data ) {
+  let schema = _name2schema[name];
+  let errors = [];
+
+  if ( !schema ) {
+    return errors;
+  }
+
+  for ( let key in schema ) {
+    let rule = schema[key];
+    if ( typeof rule === 'string' ) {
+      rule = { type: rule };
+    }
+
+    let value = data[key];
+    if ( value === undefined ) {
+      if ( rule.required ) {
+        errors.push({ key: key, message: 'required' });
+      }
+      continue;
+    }
+
+    let type = _typeOf(value);
+    if ( rule.type && rule.type !== type ) {
+      errors.push({ key: key, message: `expect ${rule.type} but got ${type}` });
+      continue;
+    }
+
+    if ( rule.enum && rule.enum.indexOf(value) === -1 ) {
+      errors.push({ key: key, message: `expect one of ${JSON.stringify(rule.enum)}` });
+      continue;
+    }
+
+    if ( rule.validate ) {
+      let result = rule.validate(value);
+      if ( result !== true && result !== undefined ) {
+        errors.push({ key: key, message: typeof result === 'string' ? result : 'invalid value' });
+      }
+    }
+  }
+
+  return errors;
+};
+
 // ==========================
 // misc API
 // ==========================
 
 let _isClosing = false;
 let _packageWatcher;
+let _packagesLoaded = false;
+let _packageConcurrency = 4;
 
 Object.defineProperty(Editor, 'isClosing', {
   enumerable: true,
@@ -299,8 +851,10 @@ Object.defineProperty(Editor, 'isClosing', {
 Editor._quit = function () {
   _isClosing = true;
 
-  if ( _packageWatcher ) {
-    _packageWatcher.close();
+  Editor.unwatchPackages();
+
+  if ( _profileWatcher ) {
+    _profileWatcher.close();
   }
 
   let winlist = Editor.Window.windows;
@@ -320,6 +874,70 @@ Editor._quit = function () {
   App.quit();
 };
 
+// load the packages by the paths of their package.json, `opts.save` saves the startup plan
+function _loadPackages ( paths, opts, cb ) {
+  if ( typeof opts === 'function' ) {
+    cb = opts;
+    opts = {};
+  }
+
+  let packagePaths = paths.map(path => {
+    return Path.dirname(Path.normalize(path));
+  });
+
+  let plan = Editor.Package.plan(packagePaths, { save: opts && opts.save });
+  plan.cycles.forEach(cycle => {
+    Editor.failed( `Failed to load packages, dependency cycle detected: ${cycle.join(' > ')}` );
+  });
+
+  // NOTE: the package is disabled by the name in package.json, not the folder name,
+  //       and the one loaded from other paths is skipped
+  let order = plan.order.filter(item => {
+    return Editor.Package.isEnabled(item.name) && !Editor.Package.packagePath(item.name);
+  });
+
+  let name2path = {};
+  order.forEach(item => {
+    name2path[item.name] = item.path;
+  });
+
+  // build the packages without dependency relationship concurrently, the dependencies are built first,
+  // and load them one by one in the planned order
+  let tasks = {};
+  order.forEach(( item, idx ) => {
+    let buildDeps = item.deps.filter(name => {
+      return name2path[name];
+    }).map(name => {
+      return `build:${name2path[name]}`;
+    });
+
+    tasks[`build:${item.path}`] = buildDeps.concat(done => {
+      // NOTE: the build error will be reported when loading the package
+      Editor.Package.prebuild( item.path, () => {
+        done();
+      });
+    });
+
+    let deps = [`build:${item.path}`];
+    if ( idx > 0 ) {
+      deps.push(`load:${order[idx-1].path}`);
+    }
+
+    tasks[`load:${item.path}`] = deps.concat(done => {
+      Editor.Package.load( item.path, err => {
+        if ( err ) {
+          Editor.failed( `Failed to load package at ${item.path}: ${err.message}` );
+        }
+        done();
+      });
+    });
+  });
+
+  Async.auto( tasks, _packageConcurrency, () => {
+    if ( cb ) cb ();
+  });
+}
+
 Editor.loadPackagesAt = function ( path, cb ) {
   let idx = Editor.Package.paths.indexOf(path);
   if ( idx === -1 ) {
@@ -328,23 +946,12 @@ Editor.loadPackagesAt = function ( path, cb ) {
   }
 
   let paths = Globby.sync( path + '/*/package.json' );
-
-  Async.eachSeries( paths, ( path, done ) => {
-    path = Path.normalize(path);
-    let packagePath = Path.dirname(path);
-    Editor.Package.load( packagePath, err => {
-      if ( err ) {
-        Editor.failed( `Failed to load package at ${packagePath}: ${err.message}` );
-      }
-      done();
-    });
-  }, () => {
-    if ( cb ) cb ();
-  });
+  _loadPackages( paths, cb );
 };
 
 /**
- * Search and load all packages from the path you registerred
+ * Search and load all packages from the path you registerred. The load order is planned
+ * by the dependencies, see {{#crossLink "Editor.Package.plan"}}{{/crossLink}}
  * {{#crossLink "Editor.registerPackagePath"}}{{/crossLink}}
  * @method loadAllPackages
  */
@@ -355,21 +962,145 @@ Editor.loadAllPackages = function ( cb ) {
   }
 
   let paths = Globby.sync( src );
+  _loadPackages( paths, { save: true }, () => {
+    _packagesLoaded = true;
+    if ( cb ) cb ();
+  });
+};
 
-  Async.eachSeries( paths, ( path, done ) => {
-    path = Path.normalize(path);
-    let packagePath = Path.dirname(path);
-    Editor.Package.load( packagePath, err => {
-      if ( err ) {
-        Editor.failed( `Failed to load package at ${packagePath}: ${err.message}` );
-      }
-      done();
-    });
-  }, () => {
+/**
+ * Unload all packages, the changes of the search paths will not load or unload the packages
+ * until {{#crossLink "Editor.loadAllPackages"}}{{/crossLink}} again
+ * @method unloadAllPackages
+ */
+Editor.unloadAllPackages = function ( cb ) {
+  _packagesLoaded = false;
+
+  let paths = Editor.Package.queryInfos().filter(result => {
+    return Editor.Package.packageInfo(result.path);
+  }).map(result => {
+    return result.path;
+  });
+
+  Async.eachSeries( paths, _unloadPackageAt, () => {
     if ( cb ) cb ();
   });
 };
 
+// close the panels of the package and its dependents and unload them
+function _unloadPackageAt ( path, cb ) {
+  let packageInfo = Editor.Package.packageInfo(path);
+  if ( !packageInfo ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  [packageInfo.name].concat(Editor.Package.dependents(packageInfo.name)).forEach(name => {
+    Editor.Panel.closeAll(name);
+  });
+  Editor.Package.unload( packageInfo._path, cb );
+}
+
+// NOTE: invoked by Editor.Package.addPath, Editor.Package.removePath and Editor.Package.resetPath,
+//       the search paths changed before loading all packages are left to Editor.loadAllPackages
+Editor._syncPackagePaths = function ( added, removed, cb ) {
+  if ( !_packagesLoaded ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  // NOTE: sync the changes one by one, so that removing and adding a path in a row will not overlap
+  _pathSyncQueue.push({ added: added, removed: removed }, () => {
+    if ( cb ) cb ();
+  });
+};
+
+let _pathSyncQueue = Async.queue(( task, done ) => {
+  _syncPaths( task.added, task.removed, done );
+}, 1);
+
+// NOTE: the broken package.json will be reported when loading
+function _readPackageName ( packageJsonPath ) {
+  try {
+    return JSON.parse(Fs.readFileSync(packageJsonPath)).name;
+  } catch ( err ) {
+    return null;
+  }
+}
+
+function _syncPaths ( added, removed, cb ) {
+  let unloadedNames = [];
+
+  Async.series([
+    // unload the packages under the removed paths
+    next => {
+      let loadedNames = Editor.Package.queryInfos().filter(result => {
+        return result.info && Editor.Package.packagePath(result.info.name);
+      }).map(result => {
+        return result.info.name;
+      });
+
+      let removedPaths = removed.map(path => {
+        return Path.resolve(path);
+      });
+
+      let packagePaths = Editor.Package.queryInfos().filter(result => {
+        return Editor.Package.packageInfo(result.path) &&
+          removedPaths.indexOf(Path.resolve(Path.dirname(result.path))) !== -1;
+      }).map(result => {
+        return result.path;
+      });
+
+      Async.eachSeries( packagePaths, _unloadPackageAt, () => {
+        unloadedNames = loadedNames.filter(name => {
+          return !Editor.Package.packagePath(name);
+        });
+        next();
+      });
+    },
+
+    // load the packages under the added paths, skip the ones loaded from other paths,
+    // and plan the unloaded ones again in the remaining paths, which may be shadowed
+    // by the removed ones or depend on them
+    next => {
+      let src = added.map(path => {
+        return path + '/*/package.json';
+      });
+      let paths = Globby.sync( src );
+
+      if ( unloadedNames.length ) {
+        let remaining = Globby.sync(Editor.Package.paths.map(path => {
+          return path + '/*/package.json';
+        })).filter(path => {
+          return unloadedNames.indexOf(_readPackageName(path)) !== -1;
+        });
+        paths = _.union( paths, remaining );
+      }
+
+      _loadPackages( paths, next );
+    },
+
+    // update the watcher
+    next => {
+      if ( _packageWatcher ) {
+        added.forEach(path => {
+          if ( Fs.existsSync(path) ) {
+            _packageWatcher.add(path);
+          }
+        });
+        removed.forEach(path => {
+          _packageWatcher.unwatch(path);
+        });
+      }
+
+      next();
+    },
+  ], () => {
+    Editor.sendToAll( 'package:search-paths-changed', Editor.Package.paths, added, removed );
+    if ( cb ) cb ();
+  });
+}
+
 /**
  * Require module through url path
  * @method require
@@ -403,82 +1134,270 @@ Editor.execSpawn = function ( command, options ) {
   return spawn(file, args, options);
 };
 
-function _reloadPackages ( reloadInfos, cb ) {
-  Async.each( reloadInfos, ( info, done ) => {
-    let packageInfo = Editor.Package.packageInfo(info.path);
-    if ( !packageInfo ) {
-      done();
-      return;
-    }
+// NOTE: one job per package, the changes arrive while the job is queued are merged into it,
+//       the changes arrive while the job is running supersede it and queue it again.
+//       A running build can not be cancelled, it is finished and the reload after it is skipped.
+let _path2reloadJob = {};
+let _reloadQueue = Async.queue(_runReloadJob, 1);
+
+function _reloadJobStatus ( job ) {
+  return {
+    name: job.name,
+    path: job.path,
+    state: job.state,
+    actions: job.running.concat(job.actions.filter(action => {
+      return job.running.indexOf(action) === -1;
+    })),
+    error: job.error,
+  };
+}
 
-    Async.series([
-      next => {
-        if ( !packageInfo.build ) {
-          next();
-          return;
-        }
+// states: queued, building, reloading, done, cancelled, failed
+function _setReloadState ( job, state, err ) {
+  job.state = state;
+  job.error = err ? err.message : null;
 
-        Editor.log( 'Rebuilding ' + packageInfo.name );
-        Editor.Package.build( packageInfo._path, next );
-      },
+  Editor.sendToAll( 'package:reload-status', _reloadJobStatus(job) );
+}
 
-      next => {
-        let testerWin = Editor.Panel.findWindow('tester.panel');
+function _queueReload ( packageInfo, action ) {
+  let path = packageInfo._path;
+  let job = _path2reloadJob[path];
+
+  if ( !job ) {
+    job = {
+      name: packageInfo.name,
+      path: path,
+      state: 'done',
+      actions: [],
+      running: [],
+      superseded: false,
+      error: null,
+    };
+    _path2reloadJob[path] = job;
+  }
 
-        // reload test
-        if ( info.reloadTest ) {
-          if ( testerWin ) {
-            testerWin.sendToPage('tester:run-tests', packageInfo.name);
-          }
-          next();
-          return;
-        }
+  if ( job.actions.indexOf(action) === -1 ) {
+    job.actions.push(action);
+  }
 
-        // reload page
-        if ( info.reloadPage ) {
-          for ( let panelName in packageInfo.panels ) {
-            let panelID = packageInfo.name + '.' + panelName;
-            Editor.sendToWindows( 'panel:out-of-date', panelID );
-          }
+  if ( job.state === 'queued' ) {
+    return;
+  }
 
-          if ( testerWin ) {
-            testerWin.sendToPage('tester:run-tests', packageInfo.name);
-          }
-          next();
-          return;
-        }
+  if ( job.state === 'building' || job.state === 'reloading' ) {
+    job.superseded = true;
+    return;
+  }
 
-        // reload core
-        if ( info.reloadCore ) {
-          Editor.Package.reload(packageInfo._path, {
-            rebuild: false
-          });
-          next();
-          return;
-        }
+  // NOTE: wait 50ms to merge the changes of one saving
+  _setReloadState( job, 'queued' );
+  setTimeout(() => {
+    _reloadQueue.push(job);
+  }, 50);
+}
+
+function _runReloadJob ( job, done ) {
+  let packageInfo = Editor.Package.packageInfo(job.path);
+  let actions = job.actions;
+  let cancelled = false;
+
+  job.running = actions;
+  job.actions = [];
+  job.superseded = false;
 
+  Async.series([
+    next => {
+      if ( !packageInfo ) {
+        cancelled = true;
         next();
-      },
-    ], err => {
-      if ( err ) {
-        Editor.error( 'Failed to reload package %s: %s', packageInfo.name, err.message );
+        return;
       }
 
-      done();
-    });
-  }, err => {
-    if ( cb ) {
-      cb (err);
+      if ( !packageInfo.build ) {
+        next();
+        return;
+      }
+
+      _setReloadState( job, 'building' );
+      Editor.log( 'Rebuilding ' + packageInfo.name );
+      Editor.Package.build( packageInfo._path, next );
+    },
+
+    next => {
+      // the files changed during the build, skip the reload and do it with the next build
+      if ( cancelled || job.superseded ) {
+        cancelled = true;
+        job.actions = _.union(actions, job.actions);
+        next();
+        return;
+      }
+
+      _setReloadState( job, 'reloading' );
+
+      let testerWin = Editor.Panel.findWindow('tester.panel');
+
+      // reload page
+      if ( actions.indexOf('page') !== -1 ) {
+        for ( let panelName in packageInfo.panels ) {
+          let panelID = packageInfo.name + '.' + panelName;
+          Editor.sendToWindows( 'panel:out-of-date', panelID );
+        }
+      }
+
+      // reload test
+      if ( testerWin && (actions.indexOf('test') !== -1 || actions.indexOf('page') !== -1) ) {
+        testerWin.sendToPage('tester:run-tests', packageInfo.name);
+      }
+
+      // reload core
+      if ( actions.indexOf('core') !== -1 ) {
+        Editor.Package.reload(packageInfo._path, {
+          rebuild: false
+        }, next);
+        return;
+      }
+
+      next();
+    },
+  ], err => {
+    if ( err ) {
+      Editor.error( 'Failed to reload package %s: %s', job.name, err.message );
+      _setReloadState( job, 'failed', err );
+    } else {
+      _setReloadState( job, cancelled ? 'cancelled' : 'done' );
+    }
+    job.running = [];
+
+    if ( packageInfo && job.actions.length ) {
+      _setReloadState( job, 'queued' );
+      _reloadQueue.push(job);
     }
+
+    done();
   });
 }
 
 /**
- * Watch packages
+ * Queue the reload of the package contains the changed file, the package watcher invokes it
+ * for each change. The action is decided by {{#crossLink "Editor.Package.reloadAction"}}{{/crossLink}}.
+ * @method queuePackageReload
+ * @param {string} path - The path of the changed file
+ */
+Editor.queuePackageReload = function ( path ) {
+  let packageInfo = Editor.Package.packageInfo(path);
+  if ( !packageInfo ) {
+    return;
+  }
+
+  let action = Editor.Package.reloadAction(path);
+  if ( action === 'ignore' ) {
+    return;
+  }
+
+  _queueReload( packageInfo, action );
+};
+
+/**
+ * Query the reload status of the packages changed since the watcher started.
+ * The status contains `name`, `path`, `state` (queued, building, reloading, done, cancelled or failed),
+ * `actions` and `error`. Each change of the status is also sent to all windows through `package:reload-status`.
+ * @method packageReloadStatus
+ * @param {string} [name] - The package name, return all statuses when it is not provided
+ * @return {object|object[]}
+ */
+Editor.packageReloadStatus = function ( name ) {
+  let statuses = [];
+
+  for ( let path in _path2reloadJob ) {
+    let status = _reloadJobStatus(_path2reloadJob[path]);
+    if ( name === undefined ) {
+      statuses.push(status);
+    } else if ( status.name === name ) {
+      return status;
+    }
+  }
+
+  return name === undefined ? statuses : null;
+};
+
+// NOTE: a new package folder is usually copied file by file, wait until it is quiet before loading
+let _packagePath2plugID = {};
+
+// return the folder of the package in the search path that contains the path
+function _packageFolderOf ( path ) {
+  let searchPaths = Editor.Package.paths;
+
+  for ( let i = 0; i < searchPaths.length; ++i ) {
+    let relativePath = Path.relative( Path.resolve(searchPaths[i]), Path.resolve(path) );
+    if ( !relativePath || relativePath.indexOf('..') === 0 || Path.isAbsolute(relativePath) ) {
+      continue;
+    }
+
+    return Path.join( Path.resolve(searchPaths[i]), relativePath.split(Path.sep)[0] );
+  }
+
+  return null;
+}
+
+// the package folder loaded or failed to load is known, the changes in it will not plug it again
+function _isKnownPackage ( packagePath ) {
+  if ( Editor.Package.packageInfo(packagePath) ) {
+    return true;
+  }
+
+  return Editor.Package.failures().some(failure => {
+    return Path.resolve(failure.path) === packagePath;
+  });
+}
+
+function _plugPackage ( path ) {
+  let packagePath = _packageFolderOf(path);
+  if ( !packagePath || _isKnownPackage(packagePath) ) {
+    return;
+  }
+
+  if ( _packagePath2plugID[packagePath] ) {
+    clearTimeout(_packagePath2plugID[packagePath]);
+  }
+
+  _packagePath2plugID[packagePath] = setTimeout(() => {
+    delete _packagePath2plugID[packagePath];
+
+    let packageJsonPath = Path.join( packagePath, 'package.json' );
+    if ( !Fs.existsSync(packageJsonPath) || _isKnownPackage(packagePath) ) {
+      return;
+    }
+
+    let name = _readPackageName(packageJsonPath);
+    if ( name && ( !Editor.Package.isEnabled(name) || Editor.Package.packagePath(name) ) ) {
+      return;
+    }
+
+    Editor.log( `New package found at ${packagePath}` );
+    _loadPackages([packageJsonPath]);
+  }, 500);
+}
+
+function _unplugPackage ( path ) {
+  let packageInfo = Editor.Package.packageInfo(path);
+  if ( !packageInfo || Path.resolve(packageInfo._path) !== Path.resolve(path) ) {
+    // forget the failure, so that the package can be plugged again
+    if ( _isKnownPackage(Path.resolve(path)) ) {
+      Editor.Package.unload(path);
+    }
+    return;
+  }
+
+  Editor.log( `Package ${packageInfo.name} removed from ${path}` );
+  _unloadPackageAt(path);
+}
+
+/**
+ * Watch packages, the new packages in the search paths will be loaded,
+ * and the packages whose folder has been deleted will be unloaded.
  * @method watchPackages
  */
-let _watchDebounceID = null;
-let _packageReloadInfo = [];
 Editor.watchPackages = function ( cb ) {
   //
   if ( Editor.Package.paths.length === 0 ) {
@@ -504,74 +1423,21 @@ Editor.watchPackages = function ( cb ) {
   _packageWatcher
     .on('add', path => {
       _packageWatcher.add(path);
+      _plugPackage(path);
     })
     .on('addDir', path => {
       _packageWatcher.add(path);
+      _plugPackage(path);
     })
     .on('unlink', path => {
       _packageWatcher.unwatch(path);
     })
     .on('unlinkDir', path => {
       _packageWatcher.unwatch(path);
+      _unplugPackage(path);
     })
     .on('change', path => {
-      // NOTE: this is not 100% safe, because 50ms debounce still can have multiple
-      //       same packages building together, to avoid this, try to use Async.queue
-
-      let packageInfo = Editor.Package.packageInfo(path);
-      if ( !packageInfo ) {
-        return;
-      }
-
-      //
-      let reloadInfo;
-      _packageReloadInfo.some(info => {
-        if ( info.path === packageInfo._path ) {
-          reloadInfo = info;
-          return true;
-        }
-        return false;
-      });
-
-      if ( !reloadInfo ) {
-        reloadInfo = {
-          path: packageInfo._path,
-          reloadTest: false,
-          reloadPage: false,
-          reloadCore: false,
-        };
-        _packageReloadInfo.push(reloadInfo);
-      }
-
-      // reload test
-      if ( Path.contains(Path.join(packageInfo._path, 'test') , path) ) {
-        reloadInfo.reloadTest = true;
-      }
-      // reload page
-      else if (
-        Path.contains(Path.join(packageInfo._path, 'page') , path) ||
-        Path.contains(Path.join(packageInfo._path, 'panel') , path) ||
-        Path.contains(Path.join(packageInfo._path, 'widget') , path) ||
-        Path.contains(Path.join(packageInfo._path, 'element') , path)
-      ) {
-        reloadInfo.reloadPage = true;
-      }
-      // reload core
-      else {
-        reloadInfo.reloadCore = true;
-      }
-
-      // debounce write for 50ms
-      if ( _watchDebounceID ) {
-        clearTimeout(_watchDebounceID);
-        _watchDebounceID = null;
-      }
-
-      _watchDebounceID = setTimeout(() => {
-        _reloadPackages(_packageReloadInfo);
-        _packageReloadInfo = [];
-        _watchDebounceID = null;
-      }, 50);
+      Editor.queuePackageReload(path);
     })
     .on('error', err => {
       Editor.error('Package Watcher Error: %s', err.message);
@@ -583,6 +1449,22 @@ Editor.watchPackages = function ( cb ) {
     ;
 };
 
+/**
+ * Stop watching packages
+ * @method unwatchPackages
+ */
+Editor.unwatchPackages = function () {
+  if ( _packageWatcher ) {
+    _packageWatcher.close();
+    _packageWatcher = null;
+  }
+
+  for ( let packagePath in _packagePath2plugID ) {
+    clearTimeout(_packagePath2plugID[packagePath]);
+  }
+  _packagePath2plugID = {};
+};
+
 // ==========================
 // extends
 // ==========================
@@ -601,6 +1483,56 @@ Editor.registerProfilePath = function ( type, path ) {
   Editor._type2profilepath[type] = path;
 };
 
+/**
+ * Register a migration function for the profile `name`. When loading a profile whose `version`
+ * is lower than the registered versions, the migrations will be applied one by one in order
+ * before reconciling with the default profile, and the `version` will be updated.
+ * If any migration throws, the profile is loaded from the data unmigrated and the file is not written.
+ * {{#crossLink "Editor.loadProfile"}}{{/crossLink}}
+ * @method registerProfileMigration
+ * @param {string} name - The name of the profile.
+ * @param {number} version - The version the migration upgrades to.
+ * @param {function} fn - The migration function `fn(data)`, modify the data or return a new one.
+ * @example
+ * ```js
+ * // version 2 renames `size` to `fontSize`
+ * Editor.registerProfileMigration( 'foobar', 2, data => {
+ *   data.fontSize = data.size;
+ *   delete data.size;
+ * });
+ * ```
+ */
+Editor.registerProfileMigration = function ( name, version, fn ) {
+  let migrations = (_name2migrations[name] || []).filter(migration => {
+    return migration.version !== version;
+  });
+  migrations.push({ version: version, fn: fn });
+  migrations.sort((a, b) => {
+    return a.version - b.version;
+  });
+  _name2migrations[name] = migrations;
+};
+
+/**
+ * Register a schema for the profile `name`. Each field in the schema is a type name
+ * (`string`, `number`, `boolean`, `object`, `array`) or a rule with `type`, `required`,
+ * `enum` and `validate(value)` which returns `true` or an error message.
+ * {{#crossLink "Editor.validateProfile"}}{{/crossLink}}
+ * @method registerProfileSchema
+ * @param {string} name - The name of the profile.
+ * @param {object} schema
+ * @example
+ * ```js
+ * Editor.registerProfileSchema( 'foobar', {
+ *   fontSize: { type: 'number', validate: value => value > 0 || 'must be positive' },
+ *   theme: { type: 'string', enum: ['dark', 'light'] },
+ * });
+ * ```
+ */
+Editor.registerProfileSchema = function ( name, schema ) {
+  _name2schema[name] = schema;
+};
+
 /**
  * Register a path, when loading packages, it will search the path you registerred.
  * {{#crossLink "Editor.loadPackages"}}{{/crossLink}}
@@ -617,6 +1549,7 @@ Editor.registerDefaultLayout = function ( path ) {
  * @param {object} opts - options
  * @param {object} profile - profile type to path
  * @param {array} package-search-path - package search path
+ * @param {number} package-concurrency - the number of packages building at the same time when loading, default is 4
  * @param {function} main-menu - a function return the new main-menu template
  * @param {string} panel-window - panel window url
  * @param {string} layout - default layout file
@@ -649,6 +1582,12 @@ Editor.init = function ( opts ) {
     Editor.Package.addPath(searchPaths);
   }
 
+  // register package concurrency
+  let concurrency = opts['package-concurrency'];
+  if ( concurrency ) {
+    _packageConcurrency = concurrency;
+  }
+
   // register main menu
   let mainMenuTmpl = opts['main-menu'];
   if ( mainMenuTmpl ) {
@@ -746,32 +1685,46 @@ Editor.MainMenu = require('./main-menu');
 
 const ipcMain = Electron.ipcMain;
 
-ipcMain.on('console:log', (event, ...args) => {
-  Editor.log.apply(Editor,args);
-});
-
-ipcMain.on('console:success', (event, ...args) => {
-  Editor.success.apply(Editor,args);
-});
+function _windowName ( sender ) {
+  let editorWin = Editor.Window.find(sender);
+  return editorWin ? editorWin.name : '';
+}
 
-ipcMain.on('console:failed', (event, ...args) => {
-  Editor.failed.apply(Editor,args);
-});
+[
+  'log',
+  'success',
+  'failed',
+  'info',
+  'warn',
+  'error',
+].forEach(type => {
+  ipcMain.on(`console:${type}`, (event, ...args) => {
+    // NOTE: messages sent by Editor.sendToCore in core-level don't have a window
+    if ( event.senderType === 'main' ) {
+      _log( type, args );
+      return;
+    }
 
-ipcMain.on('console:info', (event, ...args) => {
-  Editor.info.apply(Editor,args);
+    _logRecord(LogUtils.create( type, LogUtils.format(args), args, {
+      process: 'page',
+      window: _windowName(event.sender),
+    }));
+  });
 });
 
-ipcMain.on('console:warn', (event, ...args) => {
-  Editor.warn.apply(Editor,args);
+ipcMain.on('console:set-logger-level', ( event, name, level ) => {
+  Editor.setLoggerLevel( name, level );
 });
 
-ipcMain.on('console:error', (event, ...args) => {
-  Editor.error.apply(Editor,args);
+ipcMain.on('console:query-logger-levels', ( event, reply ) => {
+  let profile = _loggerProfile();
+  reply(profile ? profile.levels : {});
 });
 
-ipcMain.on('console:query', ( event, reply ) => {
-  reply(_logs);
+ipcMain.on('_console:record', ( event, record ) => {
+  record.window = _windowName(event.sender);
+  record.frames = _resolveFrames(record.frames || []);
+  _logRecord(record);
 });
 
 ipcMain.on('_console:clear', () => {
@@ -0,0 +1,523 @@
+'use strict';
+
+const Electron = require('electron');
+const Path = require('fire-path');
+const Fs = require('fire-fs');
+
+let _logpath = '';
+let _currentSession = '';
+
+// a fixed size buffer which drops the oldest item when it is full
+class RingBuffer {
+  constructor ( capacity ) {
+    this._items = new Array(capacity);
+    this._start = 0;
+    this._count = 0;
+  }
+
+  get capacity () {
+    return this._items.length;
+  }
+
+  get length () {
+    return this._count;
+  }
+
+  push ( item ) {
+    let capacity = this._items.length;
+    if ( capacity === 0 ) {
+      return;
+    }
+
+    if ( this._count < capacity ) {
+      this._items[(this._start + this._count) % capacity] = item;
+      ++this._count;
+      return;
+    }
+
+    this._items[this._start] = item;
+    this._start = (this._start + 1) % capacity;
+  }
+
+  at ( idx ) {
+    return this._items[(this._start + idx) % this._items.length];
+  }
+
+  clear () {
+    this._items = new Array(this._items.length);
+    this._start = 0;
+    this._count = 0;
+  }
+
+  toArray () {
+    let results = new Array(this._count);
+    for ( let i = 0; i < this._count; ++i ) {
+      results[i] = this.at(i);
+    }
+    return results;
+  }
+}
+
+let _records = new RingBuffer(10000);
+
+function _toArray ( value ) {
+  if ( value === undefined || value === null || value === '' ) {
+    return null;
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function _matcher ( filter ) {
+  let types = _toArray(filter.types || filter.type);
+  let packages = _toArray(filter.packages || filter.package);
+  let from = typeof filter.from === 'number' ? filter.from : -Infinity;
+  let to = typeof filter.to === 'number' ? filter.to : Infinity;
+  let text = filter.text ? filter.text.toLowerCase() : '';
+  let regex = null;
+
+  // NOTE: the regex comes from the user input, an invalid one throws SyntaxError
+  if ( filter.regex ) {
+    regex = filter.regex instanceof RegExp ?
+      filter.regex :
+      new RegExp( filter.regex, filter.flags || '' );
+  }
+
+  return record => {
+    if ( types && types.indexOf(record.type) === -1 ) {
+      return false;
+    }
+
+    if ( packages && packages.indexOf(record.package) === -1 ) {
+      return false;
+    }
+
+    if ( record.time < from || record.time > to ) {
+      return false;
+    }
+
+    if ( text && record.message.toLowerCase().indexOf(text) === -1 ) {
+      return false;
+    }
+
+    if ( regex ) {
+      regex.lastIndex = 0;
+      if ( !regex.test(record.message) ) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+function _pad ( num ) {
+  return num < 10 ? '0' + num : '' + num;
+}
+
+function _sessionName ( date ) {
+  return [
+    date.getFullYear(),
+    _pad(date.getMonth() + 1),
+    _pad(date.getDate()),
+    _pad(date.getHours()),
+    _pad(date.getMinutes()),
+    _pad(date.getSeconds()),
+  ].join('-');
+}
+
+function _sessionTime ( name ) {
+  let parts = name.split('-').map(num => {
+    return parseInt(num);
+  });
+  return new Date( parts[0], parts[1]-1, parts[2], parts[3], parts[4], parts[5] ).getTime();
+}
+
+// session files: {app-name}-{session-name}-session.log, {app-name}-{session-name}-session1.log, ...
+function _sessionRegExp () {
+  let appName = Editor.App.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${appName}-(\\d{4}-\\d{2}-\\d{2}-\\d{2}-\\d{2}-\\d{2})-session(\\d*)\\.log$`);
+}
+
+function _sessionFile ( name ) {
+  return Path.join( _logpath, `${Editor.App.name}-${name}-session.log` );
+}
+
+/**
+ * Log module for caching the log records and managing the log files of each session
+ * @module Editor.Log
+ */
+let EditorLog = {
+  /**
+   * The maximum count of session logs kept on the disk
+   * @property maxSessions
+   * @type number
+   */
+  maxSessions: 10,
+
+  /**
+   * The maximum size in bytes of a log file before it rotates
+   * @property maxSize
+   * @type number
+   */
+  maxSize: 5 * 1024 * 1024,
+
+  /**
+   * The maximum count of rotated log files in one session
+   * @property maxFiles
+   * @type number
+   */
+  maxFiles: 5,
+
+  /**
+   * Add a log record to the cache, the oldest record will be dropped when the cache is full
+   * @method add
+   * @param {object} record
+   */
+  add ( record ) {
+    _records.push(record);
+  },
+
+  /**
+   * Clear the cached log records
+   * @method clear
+   */
+  clear () {
+    _records.clear();
+  },
+
+  /**
+   * Query the cached log records, from the oldest to the newest
+   * @method query
+   * @param {object} [filter]
+   * @param {string|string[]} filter.types - log types: log, success, failed, info, warn, error, fatal
+   * @param {number} filter.from - the start time in milliseconds
+   * @param {number} filter.to - the end time in milliseconds
+   * @param {string} filter.text - case insensitive text the message contains
+   * @param {string|RegExp} filter.regex - regular expression the message matches
+   * @param {string} filter.flags - flags for `filter.regex` when it is a string
+   * @param {string|string[]} filter.packages - the packages the logs come from
+   * @param {number} filter.offset - skip the first `offset` matched records
+   * @param {number} filter.limit - the maximum count of the records returned
+   * @return {object} The result contains:
+   *  - records: the matched records in the page
+   *  - total: the count of all matched records
+   *  - error: the message of the error if the filter is invalid (e.g. a broken regex), no records returned
+   * @example
+   * ```js
+   * // the first 100 warnings and errors from package foobar
+   * let result = Editor.Log.query({
+   *   types: ['warn', 'error'],
+   *   packages: 'foobar',
+   *   limit: 100,
+   * });
+   *
+   * // the latest 100 of them
+   * let lastPage = Editor.Log.query({
+   *   types: ['warn', 'error'],
+   *   packages: 'foobar',
+   *   offset: Math.max(result.total - 100, 0),
+   *   limit: 100,
+   * });
+   * ```
+   */
+  query ( filter ) {
+    filter = filter || {};
+
+    let match;
+    try {
+      match = _matcher(filter);
+    } catch ( err ) {
+      return {
+        records: [],
+        total: 0,
+        error: err.message,
+      };
+    }
+
+    let offset = Math.max(filter.offset || 0, 0);
+    let limit = typeof filter.limit === 'number' ? filter.limit : Infinity;
+    let records = [];
+    let total = 0;
+
+    for ( let i = 0; i < _records.length; ++i ) {
+      let record = _records.at(i);
+      if ( !match(record) ) {
+        continue;
+      }
+
+      if ( total >= offset && records.length < limit ) {
+        records.push(record);
+      }
+      ++total;
+    }
+
+    return {
+      records: records,
+      total: total,
+    };
+  },
+
+  /**
+   * Create a diagnostics report from the cached log records
+   * @method report
+   * @param {object} [filter] - The filter for the records, see {@link Editor.Log.query}
+   * @return {object} The report contains:
+   *  - header: time, versions, loaded packages, and opened windows with their panels
+   *  - records: the matched log records
+   */
+  report ( filter ) {
+    // NOTE: queryInfos also reports the disabled and failed packages, and the info
+    //       of a package whose package.json is broken is null
+    let packages = Editor.Package.queryInfos().filter(item => {
+      return item.status === 'loaded' && item.info;
+    });
+    let panel2window = {};
+
+    packages.forEach(item => {
+      for ( let panelName in item.info.panels ) {
+        let panelID = `${item.info.name}.${panelName}`;
+        let editorWin = Editor.Panel.findWindow(panelID);
+        if ( editorWin ) {
+          panel2window[panelID] = editorWin;
+        }
+      }
+    });
+
+    let windows = Editor.Window.windows.map(editorWin => {
+      let panels = [];
+      for ( let panelID in panel2window ) {
+        if ( panel2window[panelID] === editorWin ) {
+          panels.push(panelID);
+        }
+      }
+
+      return {
+        name: editorWin.name,
+        main: editorWin.isMainWindow,
+        panels: panels,
+      };
+    });
+
+    return {
+      header: {
+        time: Date.now(),
+        session: _currentSession,
+        versions: Editor.versions,
+        packages: packages.map(item => {
+          return {
+            name: item.info.name,
+            version: item.info.version,
+            path: item.path,
+            builtin: item.builtin,
+          };
+        }),
+        windows: windows,
+      },
+      records: EditorLog.query(filter).records,
+    };
+  },
+
+  /**
+   * Export the diagnostics report to a JSON file or a self-contained HTML file
+   * @method export
+   * @param {string} path - The file path
+   * @param {object} [opts]
+   * @param {string} opts.format - 'json' or 'html', by default it is decided by the extension of the path
+   * @param {object} opts.filter - The filter for the records, see {@link Editor.Log.query}
+   * @return {boolean} If the report has been written
+   */
+  export ( path, opts ) {
+    opts = opts || {};
+
+    let format = opts.format || (Path.extname(path).toLowerCase() === '.json' ? 'json' : 'html');
+    let report = EditorLog.report(opts.filter);
+    let content;
+
+    try {
+      if ( format === 'json' ) {
+        content = JSON.stringify(report, null, 2);
+      } else {
+        // NOTE: escape '<' so that the data can not close the script tag
+        let data = JSON.stringify(report).replace(/</g, '\\u003c');
+        let template = Fs.readFileSync(Editor.url('editor-framework://static/log-report.html'), 'utf8');
+        content = template.replace('__LOG_REPORT_DATA__', () => {
+          return data;
+        });
+      }
+
+      Fs.writeFileSync(path, content, 'utf8');
+    } catch ( err ) {
+      Editor.error( 'Failed to export log to %s: %s', path, err.message );
+      return false;
+    }
+
+    Editor.success( `Log exported to ${path}` );
+    return true;
+  },
+
+  /**
+   * Start a new session in the log path, and remove the old sessions out of `maxSessions`
+   * @method start
+   * @param {string} path - The directory for log files
+   * @return {string} The log file for the new session
+   */
+  start ( path ) {
+    _logpath = path;
+    _currentSession = _sessionName(new Date());
+
+    // remove the log file from the version which doesn't keep sessions
+    let legacyFile = Path.join( _logpath, `${Editor.App.name}.log` );
+    if ( Fs.existsSync(legacyFile) ) {
+      Fs.unlinkSync(legacyFile);
+    }
+
+    // keep the newest sessions, leave one place for the new session
+    let outdated = EditorLog.sessions().slice( Math.max(EditorLog.maxSessions - 1, 0) );
+    outdated.forEach(session => {
+      session.files.forEach(file => {
+        Fs.unlinkSync(file);
+      });
+    });
+
+    return _sessionFile(_currentSession);
+  },
+
+  /**
+   * Return the sessions which have log files on the disk, the newest first
+   * @method sessions
+   * @return {object[]} Each session contains:
+   *  - name: the session name, which is the start time of the session
+   *  - time: the start time in milliseconds
+   *  - files: the log files of the session in writing order
+   *  - size: the total size of the log files
+   *  - current: if it is the running session
+   */
+  sessions () {
+    if ( !_logpath || !Fs.isDirSync(_logpath) ) {
+      return [];
+    }
+
+    let re = _sessionRegExp();
+    let name2session = {};
+
+    Fs.readdirSync(_logpath).forEach(file => {
+      let matches = re.exec(file);
+      if ( !matches ) {
+        return;
+      }
+
+      let name = matches[1];
+      let session = name2session[name];
+      if ( !session ) {
+        session = name2session[name] = {
+          name: name,
+          time: _sessionTime(name),
+          files: [],
+          size: 0,
+          current: name === _currentSession,
+        };
+      }
+
+      let path = Path.join( _logpath, file );
+      session.files.push({
+        path: path,
+        index: matches[2] ? parseInt(matches[2]) : 0,
+      });
+      session.size += Fs.statSync(path).size;
+    });
+
+    let results = [];
+    for ( let name in name2session ) {
+      let session = name2session[name];
+      session.files = session.files.sort((a, b) => {
+        return a.index - b.index;
+      }).map(info => {
+        return info.path;
+      });
+      results.push(session);
+    }
+
+    return results.sort((a, b) => {
+      return b.time - a.time;
+    });
+  },
+
+  /**
+   * Read the log of the session
+   * @method read
+   * @param {string} name - The session name
+   * @return {string} The log text, or null if the session not found
+   */
+  read ( name ) {
+    let session;
+    EditorLog.sessions().some(info => {
+      if ( info.name === name ) {
+        session = info;
+        return true;
+      }
+      return false;
+    });
+
+    if ( !session ) {
+      return null;
+    }
+
+    return session.files.map(file => {
+      return Fs.readFileSync(file, 'utf8');
+    }).join('');
+  },
+};
+
+/**
+ * The maximum count of log records kept in the cache. Changing it keeps the newest records.
+ * @property {number} capacity
+ */
+Object.defineProperty(EditorLog, 'capacity', {
+  enumerable: true,
+  get() {
+    return _records.capacity;
+  },
+  set( value ) {
+    let records = _records.toArray();
+    _records = new RingBuffer(Math.max(value, 0));
+    records.forEach(record => {
+      _records.push(record);
+    });
+  }
+});
+
+/**
+ * The name of the running session
+ * @property {string} currentSession
+ */
+Object.defineProperty(EditorLog, 'currentSession', {
+  enumerable: true,
+  get() {
+    return _currentSession;
+  }
+});
+
+module.exports = EditorLog;
+
+// ========================================
+// Ipc
+// ========================================
+
+const ipcMain = Electron.ipcMain;
+
+ipcMain.on('console:query', ( event, reply, filter ) => {
+  let result = EditorLog.query(filter);
+  reply(result.records, result.total, result.error);
+});
+
+ipcMain.on('console:export', ( event, path, opts ) => {
+  EditorLog.export( path, opts );
+});
+
+ipcMain.on('console:query-sessions', ( event, reply ) => {
+  reply(EditorLog.sessions());
+});
+
+ipcMain.on('console:query-session', ( event, reply, name ) => {
+  reply(EditorLog.read(name));
+});
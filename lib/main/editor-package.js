@@ -7,8 +7,11 @@ const Path = require('fire-path');
 const Fs = require('fire-fs');
 const Async = require('async');
 const Semver = require('semver');
+const Minimatch = require('minimatch');
 const _ = require('lodash');
 
+const PackageManifest = require('./package-manifest');
+
 /**
  * Package module for manipulating packages
  * @module Editor.Package
@@ -19,6 +22,180 @@ let _path2package = {};
 let _name2packagePath = {};
 let _panel2info = {};
 let _packageSearchPaths = [];
+let _loadPlan = { order: [], cycles: [], shadowed: [] };
+let _path2failure = {};
+let _path2timing = {};
+let _path2prebuild = {};
+
+// NOTE: the rules in package.json are matched first, the first matched rule wins
+const _defaultReloadRules = [
+  ['test/**', 'test'],
+  ['page/**', 'page'],
+  ['panel/**', 'page'],
+  ['widget/**', 'page'],
+  ['element/**', 'page'],
+  ['**', 'core'],
+];
+
+function _packagesProfile () {
+  return Editor.loadProfile( 'packages', 'local', {
+    disabled: [],
+  });
+}
+
+// in milliseconds
+function _now () {
+  let time = process.hrtime();
+  return time[0] * 1e3 + time[1] / 1e6;
+}
+
+// measure the phases one after another, each lap records the time since the last one
+function _createTiming ( path ) {
+  let last = _now();
+  let timing = {
+    name: Path.basename(path),
+    path: path,
+    start: Date.now(),
+    total: 0,
+    self: 0,
+    phases: {},
+  };
+
+  timing.lap = phase => {
+    let now = _now();
+    timing.phases[phase] = (timing.phases[phase] || 0) + now - last;
+    timing.total += now - last;
+    last = now;
+  };
+
+  return timing;
+}
+
+// check if the current versions of the hosts satisfy the package
+function _checkHosts ( packageObj ) {
+  for ( let host in packageObj.hosts ) {
+    let currentVer = Editor.versions[host];
+    if ( !currentVer ) {
+      return new Error( `Host '${host}' not exists.` );
+    }
+
+    let requireVer = packageObj.hosts[host];
+    if ( !Semver.satisfies( currentVer, requireVer ) ) {
+      return new Error( `Host '${host}' require ver ${requireVer}` );
+    }
+  }
+
+  return null;
+}
+
+function _readPackageInfo ( path ) {
+  try {
+    return JSON.parse(Fs.readFileSync(Path.join( path, 'package.json' )));
+  } catch ( err ) {
+    return null;
+  }
+}
+
+// find the packages named `name` in their package.json in all search paths,
+// the folder of a package may have a different name
+function _findPackages ( name ) {
+  let results = [];
+
+  _packageSearchPaths.forEach(searchPath => {
+    if ( !Fs.isDirSync(searchPath) ) {
+      return;
+    }
+
+    Fs.readdirSync(searchPath).forEach(folder => {
+      let path = Path.join( searchPath, folder );
+      let info = _readPackageInfo(path);
+
+      if ( info && info.name === name ) {
+        results.push({ path: path, info: info });
+      }
+    });
+  });
+
+  return results;
+}
+
+// find the packages named `name` with a valid version, sorted from the highest version
+function _findCandidates ( name ) {
+  let candidates = _findPackages(name).filter(pkg => {
+    return Semver.valid(pkg.info.version);
+  }).map(pkg => {
+    return { path: pkg.path, version: pkg.info.version };
+  });
+
+  return candidates.sort((a, b) => {
+    return Semver.rcompare(a.version, b.version);
+  });
+}
+
+// find the package named `name` to load, the highest version is preferred
+function _findPackagePath ( name ) {
+  let candidates = _findCandidates(name);
+  if ( candidates.length ) {
+    return candidates[0].path;
+  }
+
+  let packages = _findPackages(name);
+  return packages.length ? packages[0].path : null;
+}
+
+function _resolveDependency ( name, range, chain, cb ) {
+  let requiredBy = chain.join(' > ');
+
+  range = range || '*';
+  if ( !Semver.validRange(range) ) {
+    cb ( new Error( `Invalid version range "${range}" of dependency ${name} required by ${requiredBy}` ) );
+    return;
+  }
+
+  if ( !EditorPackage.isEnabled(name) ) {
+    cb ( new Error( `Dependency ${name} required by ${requiredBy} is disabled` ) );
+    return;
+  }
+
+  // the loaded one must satisfy the range, we can not load two versions of a package
+  let loadedPath = _name2packagePath[name];
+  if ( loadedPath ) {
+    let version = _path2package[loadedPath].version;
+    if ( !Semver.valid(version) ) {
+      cb ( new Error( `Dependency ${name} required by ${requiredBy} has no valid version` ) );
+      return;
+    }
+
+    if ( !Semver.satisfies( version, range ) ) {
+      cb ( new Error( `Dependency ${name}@${range} required by ${requiredBy} mismatched, version ${version} is loaded` ) );
+      return;
+    }
+
+    cb ( null, loadedPath );
+    return;
+  }
+
+  let candidates = _findCandidates(name);
+  if ( !candidates.length ) {
+    if ( _findPackages(name).length ) {
+      cb ( new Error( `Dependency ${name} required by ${requiredBy} has no valid version` ) );
+      return;
+    }
+
+    cb ( new Error( `Dependency ${name}@${range} required by ${requiredBy} not found` ) );
+    return;
+  }
+
+  for ( let i = 0; i < candidates.length; ++i ) {
+    if ( Semver.satisfies( candidates[i].version, range ) ) {
+      cb ( null, candidates[i].path );
+      return;
+    }
+  }
+
+  let versions = candidates.map(candidate => candidate.version).join(', ');
+  cb ( new Error( `Dependency ${name}@${range} required by ${requiredBy} mismatched, found version ${versions}` ) );
+}
 
 function _build ( packageObj, force, cb ) {
   if ( !packageObj.build ) {
@@ -85,6 +262,10 @@ function _clearDependence(path, deps) {
  * @param {object} [opts] - Options
  * @param {boolean} opts.build - Force rebuild the packages
  * @param {function} cb - Callback when finish loading
+ *
+ * The `pkgDependencies` in package.json maps the package name to a semver range. The dependencies
+ * will be loaded first, if several search paths contain the dependency, the highest version
+ * satisfies the range will be picked.
  */
 EditorPackage.load = function ( path, opts, cb ) {
   opts = opts || {};
@@ -99,8 +280,41 @@ EditorPackage.load = function ( path, opts, cb ) {
     return;
   }
 
-  let packageJsonPath = Path.join( path, 'package.json' );
+  // record the failure with the phase it failed in
+  let phase = 'json';
   let packageObj;
+  let timing = _createTiming(path);
+  let doneCallback = cb;
+  cb = err => {
+    // NOTE: the time spent in the dependencies is not counted in self
+    timing.self = timing.total - (timing.phases.deps || 0);
+    timing.failed = !!err;
+    if ( packageObj && packageObj.name ) {
+      timing.name = packageObj.name;
+    }
+    delete timing.lap;
+    _path2timing[path] = timing;
+    delete _path2prebuild[path];
+
+    if ( err ) {
+      _path2failure[path] = {
+        name: packageObj && packageObj.name ? packageObj.name : Path.basename(path),
+        path: path,
+        phase: phase,
+        message: err.message,
+        stack: err.stack,
+        time: Date.now(),
+      };
+    } else {
+      delete _path2failure[path];
+    }
+
+    if ( doneCallback ) {
+      doneCallback ( err );
+    }
+  };
+
+  let packageJsonPath = Path.join( path, 'package.json' );
   try {
     packageObj = JSON.parse(Fs.readFileSync(packageJsonPath));
   } catch (err) {
@@ -110,45 +324,88 @@ EditorPackage.load = function ( path, opts, cb ) {
     return;
   }
 
-  // check host, if we don't have the host, skip load it
-  for ( let host in packageObj.hosts ) {
-    let currentVer = Editor.versions[host];
-    if ( !currentVer ) {
-      if ( cb ) {
-        cb ( new Error( `Host '${host}' not exists.` ) );
-      }
-      return;
+  // validate package.json before registering anything
+  let problems = PackageManifest.validate(packageObj);
+  let errors = problems.filter(problem => !problem.warning);
+  if ( errors.length ) {
+    if ( cb ) {
+      cb ( PackageManifest.error( packageObj.name || path, errors ) );
     }
+    return;
+  }
 
-    let requireVer = packageObj.hosts[host];
-    if ( !Semver.satisfies( currentVer, requireVer ) ) {
-      if ( cb ) {
-        cb ( new Error( `Host '${host}' require ver ${requireVer}` ) );
-      }
-      return;
+  if ( problems.length ) {
+    let lines = problems.map(problem => `  ${problem.path}: ${problem.message}`);
+    Editor.warn( `Problems in package.json of ${packageObj.name}:\n${lines.join('\n')}` );
+  }
+
+  timing.lap('manifest');
+
+  // check host, if we don't have the host, skip load it
+  phase = 'hosts';
+  let hostError = _checkHosts(packageObj);
+  if ( hostError ) {
+    if ( cb ) {
+      cb ( hostError );
     }
+    return;
   }
 
+  timing.lap('hosts');
+
   //
   Async.series([
     next => {
+      phase = 'deps';
       if ( !packageObj.pkgDependencies ) {
+        timing.lap('deps');
         next ();
         return;
       }
 
+      let chain = (opts.dependents || []).concat(packageObj.name);
+      if ( chain.indexOf(packageObj.name) !== chain.length-1 ) {
+        next ( new Error( `Dependency cycle detected: ${chain.join(' > ')}` ) );
+        return;
+      }
+
       Async.eachSeries(Object.keys(packageObj.pkgDependencies), (pkgName, done) => {
-        let pkgPath = EditorPackage.find( pkgName );
-        if ( !pkgPath ) {
-          return done ( new Error(`Can not find dependencied package ${pkgName}`) );
-        }
+        let range = packageObj.pkgDependencies[pkgName];
 
-        EditorPackage.load( pkgPath, done );
-      }, next);
+        _resolveDependency( pkgName, range, chain, ( err, pkgPath ) => {
+          if ( err ) {
+            done ( err );
+            return;
+          }
+
+          EditorPackage.load( pkgPath, { dependents: chain }, done );
+        });
+      }, err => {
+        timing.lap('deps');
+        next (err);
+      });
     },
 
     next => {
+      phase = 'build';
       packageObj._path = path;
+
+      // NOTE: use the result of the prebuild, its time is counted in the build phase
+      let prebuild = _path2prebuild[path];
+      if ( prebuild && !opts.build ) {
+        timing.phases.build = prebuild.time;
+        timing.total += prebuild.time;
+
+        if ( prebuild.error ) {
+          next ( new Error( `Building failed: ${prebuild.error.message}` ) );
+          return;
+        }
+
+        packageObj._destPath = prebuild.destPath;
+        next ();
+        return;
+      }
+
       _build ( packageObj, opts.build, ( err, destPath ) => {
         if ( err ) {
           next ( new Error( `Building failed: ${err.message}` ) );
@@ -161,7 +418,10 @@ EditorPackage.load = function ( path, opts, cb ) {
     },
 
     next => {
+      timing.lap('build');
+
       // register i18n from i18n/${lang}.js
+      phase = 'i18n';
       let i18nFile = Path.join( packageObj._destPath, 'i18n', `${Editor.lang}.js` );
       if ( Fs.existsSync(i18nFile) ) {
         try {
@@ -176,34 +436,20 @@ EditorPackage.load = function ( path, opts, cb ) {
         }
       }
 
-      // load main.js
-      if ( packageObj.main ) {
-        let main;
-        let mainPath = Path.join( packageObj._destPath, packageObj.main );
-        try {
-          main = require(mainPath);
-          if ( main && main.load ) {
-            main.load();
-          }
-        } catch (e) {
-          if ( next ) {
-            next ( new Error( `Failed to load ${packageObj.main}: ${e.stack}` ) );
-          }
-          return;
-        }
-
-        // register main ipcs
-        let ipcListener = new Editor.Ipc();
-        for ( let prop in main ) {
-          if ( prop === 'load' || prop === 'unload' ) {
-            continue;
-          }
+      timing.lap('i18n');
 
-          if ( typeof main[prop] === 'function' ) {
-            ipcListener.on( prop, main[prop].bind(main) );
-          }
+      // load main.js, the lazy package will load it when activated
+      phase = 'main';
+      if ( packageObj.main && packageObj.activation ) {
+        _listenActivation(packageObj);
+      } else if ( packageObj.main ) {
+        let err = _loadMain(packageObj, timing.lap);
+        if ( err ) {
+          next ( err );
+          return;
         }
-        packageObj._ipc = ipcListener;
+      } else {
+        packageObj._activated = true;
       }
 
       // register menu
@@ -256,11 +502,15 @@ EditorPackage.load = function ( path, opts, cb ) {
         }
       }
 
+      timing.lap('register');
+
       //
       _path2package[path] = packageObj;
       _name2packagePath[packageObj.name] = path;
       Editor.success( `${packageObj.name} loaded` );
       Editor.sendToWindows('package:loaded', packageObj.name);
+      _contributionsChanged(packageObj);
+      _checkContributions(packageObj);
 
       next ();
     },
@@ -268,13 +518,168 @@ EditorPackage.load = function ( path, opts, cb ) {
   ], cb);
 };
 
-/**
- * Unload a package at path
- * @method unload
- * @param {string} path - An absolute path point to a package folder
- * @param {function} cb - Callback when finish unloading
- */
-EditorPackage.unload = function ( path, cb ) {
+function _loadMain ( packageObj, lap ) {
+  let main;
+  let mainPath = Path.join( packageObj._destPath, packageObj.main );
+  lap = lap || function () {};
+
+  try {
+    main = require(mainPath);
+    lap('require');
+
+    // give the package a logger named after it
+    if ( main && !main.logger ) {
+      main.logger = Editor.logger(packageObj.name);
+    }
+
+    if ( main && main.load ) {
+      main.load();
+    }
+    lap('load');
+  } catch (e) {
+    // NOTE: remove the cache, so that we can load it again after fixed
+    delete require.cache[mainPath];
+    return new Error( `Failed to load ${packageObj.main}: ${e.stack}` );
+  }
+
+  // register main ipcs
+  let ipcListener = new Editor.Ipc();
+  for ( let prop in main ) {
+    if ( prop === 'load' || prop === 'unload' ) {
+      continue;
+    }
+
+    if ( typeof main[prop] === 'function' ) {
+      ipcListener.on( prop, main[prop].bind(main) );
+    }
+  }
+  packageObj._ipc = ipcListener;
+  packageObj._activated = true;
+
+  return null;
+}
+
+// the ipc messages in `activation.messages`, and the messages of the menus if `activation.menus` is true
+function _activationMessages ( packageObj ) {
+  let activation = packageObj.activation;
+  let messages = Array.isArray(activation.messages) ? activation.messages.slice() : [];
+
+  if ( activation.menus && packageObj.menus && typeof packageObj.menus === 'object' ) {
+    for ( let menuPath in packageObj.menus ) {
+      let menuOpts = packageObj.menus[menuPath];
+
+      // NOTE: the messages sent to panels will activate the package by opening the panels
+      if ( menuOpts.message && !menuOpts.panel ) {
+        messages.push(menuOpts.message);
+      }
+    }
+  }
+
+  return _.uniq(messages);
+}
+
+function _listenActivation ( packageObj ) {
+  let ipcListener = new Editor.Ipc();
+
+  _activationMessages(packageObj).forEach(message => {
+    ipcListener.on( message, (...args) => {
+      if ( !EditorPackage.activate(packageObj.name) ) {
+        return;
+      }
+
+      // replay the message to the main.js
+      // NOTE: the listeners registered during emitting will not be invoked in this emit
+      let mainPath = Path.join( packageObj._destPath, packageObj.main );
+      let main = require.cache[mainPath].exports;
+      if ( main && typeof main[message] === 'function' ) {
+        main[message].apply( main, args );
+      }
+    });
+  });
+
+  packageObj._ipc = ipcListener;
+  packageObj._activated = false;
+}
+
+// the extension points declared in `extensionPoints` are named `${packageName}.${name}`, same as panels
+function _extensionPoints ( packageObj ) {
+  let results = [];
+
+  if ( packageObj.extensionPoints && typeof packageObj.extensionPoints === 'object' ) {
+    for ( let name in packageObj.extensionPoints ) {
+      results.push(`${packageObj.name}.${name}`);
+    }
+  }
+
+  return results;
+}
+
+function _contributionsChanged ( packageObj ) {
+  let points = _extensionPoints(packageObj);
+
+  if ( packageObj.contributes && typeof packageObj.contributes === 'object' ) {
+    points = points.concat(Object.keys(packageObj.contributes));
+  }
+
+  _.uniq(points).forEach(point => {
+    Editor.sendToAll('package:contributions-changed', point, EditorPackage.contributions(point));
+  });
+}
+
+// the loaded package the extension point is named after
+function _pointHost ( point ) {
+  for ( let name in _name2packagePath ) {
+    if ( point.indexOf(`${name}.`) === 0 ) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+// warn the contributions to the undeclared extension points, a contribution is checked
+// when the contributor is loaded, or when the package of the extension point is loaded later
+function _checkContributions ( packageObj ) {
+  for ( let path in _path2package ) {
+    let contributor = _path2package[path];
+    let contributes = contributor.contributes;
+    if ( !contributes || typeof contributes !== 'object' ) {
+      continue;
+    }
+
+    for ( let point in contributes ) {
+      if ( contributor !== packageObj && point.indexOf(`${packageObj.name}.`) !== 0 ) {
+        continue;
+      }
+
+      let host = _pointHost(point);
+      if ( point.indexOf('.') !== -1 && !host ) {
+        continue;
+      }
+
+      if ( !EditorPackage.extensionPoint(point) ) {
+        Editor.warn( `${contributor.name} contributes to ${point}, which is not declared in extensionPoints of ${host || 'any package'}` );
+      }
+    }
+  }
+}
+
+function _directDependents ( name ) {
+  let results = [];
+
+  for ( let path in _path2package ) {
+    let packageObj = _path2package[path];
+    let deps = packageObj.pkgDependencies;
+
+    if ( deps && deps[name] !== undefined ) {
+      results.push(packageObj.name);
+    }
+  }
+
+  return results;
+}
+
+function _unload ( path, cb ) {
   let packageObj = _path2package[path];
   if ( !packageObj ) {
     if ( cb ) {
@@ -312,70 +717,323 @@ EditorPackage.unload = function ( path, cb ) {
     let mainPath = Path.join( packageObj._destPath, packageObj.main );
     let cachedModule = cache[mainPath];
 
-    try {
-      if ( cachedModule ) {
+    // NOTE: the main.js of an inactivated package is not loaded
+    if ( cachedModule ) {
+      try {
         let main = cachedModule.exports;
         if ( main && main.unload ) {
           main.unload();
         }
+      } catch (err) {
+        Editor.failed( `Failed to unload "${packageObj.main}" from "${packageObj.name}": ${err.stack}.` );
       }
-    } catch (err) {
-      Editor.failed( `Failed to unload "${packageObj.main}" from "${packageObj.name}": ${err.stack}.` );
+      _clearDependence( packageObj._destPath, cachedModule.children );
+      delete cache[mainPath];
     }
-    _clearDependence( packageObj._destPath, cachedModule.children );
-    delete cache[mainPath];
   }
 
   //
   delete _path2package[path];
   delete _name2packagePath[packageObj.name];
+  delete _path2failure[path];
   Editor.success( `${packageObj.name} unloaded` );
   Editor.sendToWindows('package:unloaded', packageObj.name);
+  _contributionsChanged(packageObj);
 
   if ( cb ) {
     cb ();
   }
-};
+}
 
 /**
- * Reload a package at path
- * @method reload
- * @param {string} path - An absolute path point to a package folder
- * @param {object} opts - Options
- * @param {Boolean} opts.rebuild - If rebuild the project
- * @param {function} cb - Callback when finish reloading
+ * Activate the package, load its main.js if it is not loaded. The package declares `activation`
+ * in package.json will not load main.js until one of the triggers fires:
+ *  - activation.messages: the ipc messages, the message will be replayed to main.js after activated.
+ *  - activation.panels: `true` for all panels or the names of the panels, activate when the panel opened.
+ *  - activation.menus: `true` to activate by the messages of its menu items.
+ * @method activate
+ * @param {string} name - package name
+ * @return {boolean} If the package is activated
  */
-EditorPackage.reload = function ( path, opts, cb ) {
-  opts = opts || {};
-  let rebuild = (typeof opts.rebuild === 'boolean') ? opts.rebuild : true;
+EditorPackage.activate = function ( name ) {
+  let path = _name2packagePath[name];
+  if ( !path ) {
+    Editor.failed( `Failed to activate package ${name}, not loaded` );
+    return false;
+  }
 
-  Async.series([
-    next => {
-      let packageObj = _path2package[path];
-      if ( !packageObj ) {
-        next ();
-        return;
-      }
+  let packageObj = _path2package[path];
+  if ( packageObj._activated ) {
+    return true;
+  }
 
-      if ( rebuild && packageObj.build ) {
-        Editor.log( 'Rebuilding ' + packageObj.name );
-        EditorPackage.build( path, next );
-        return;
-      }
+  // activate the dependencies first
+  let deps = Object.keys(packageObj.pkgDependencies || {});
+  for ( let i = 0; i < deps.length; ++i ) {
+    if ( _name2packagePath[deps[i]] && !EditorPackage.activate(deps[i]) ) {
+      return false;
+    }
+  }
 
-      next ();
-    },
+  // NOTE: keep the activation listeners until main.js loaded, so that the triggers still work after it fixed
+  let activationIpc = packageObj._ipc;
+  let err = _loadMain(packageObj);
+  if ( err ) {
+    packageObj._ipc = activationIpc;
+    _path2failure[path] = {
+      name: name,
+      path: path,
+      phase: 'main',
+      message: err.message,
+      stack: err.stack,
+      time: Date.now(),
+    };
+    Editor.failed( `Failed to activate package ${name}: ${err.message}` );
+    return false;
+  }
 
-    next => {
-      EditorPackage.unload(path, next);
-    },
+  activationIpc.clear();
+  delete _path2failure[path];
 
-    next => {
-      EditorPackage.load(path, next);
-    },
-  ], err => {
-    if (cb) {
-      cb ( err );
+  Editor.success( `${name} activated` );
+  Editor.sendToWindows('package:activated', name);
+
+  return true;
+};
+
+/**
+ * Activate the package of the panel if it declares `activation.panels` for the panel
+ * @method activatePanel
+ * @param {string} panelID
+ * @return {boolean} If the package is activated
+ */
+EditorPackage.activatePanel = function ( panelID ) {
+  let pair = panelID.split('.');
+  let path = _name2packagePath[pair[0]];
+  if ( !path ) {
+    return false;
+  }
+
+  let packageObj = _path2package[path];
+  if ( packageObj._activated ) {
+    return true;
+  }
+
+  let panels = packageObj.activation && packageObj.activation.panels;
+  if ( panels === true || (Array.isArray(panels) && panels.indexOf(pair[1]) !== -1) ) {
+    return EditorPackage.activate(packageObj.name);
+  }
+
+  return false;
+};
+
+/**
+ * Return the info of the extension point. A package declares its extension points in
+ * `extensionPoints` of package.json, the point is named `${packageName}.${name}`.
+ * @method extensionPoint
+ * @param {string} point - The name of the extension point, e.g. `asset-db.importers`
+ * @return {object} The info contains `package` and the declared fields, `null` if not declared
+ */
+EditorPackage.extensionPoint = function ( point ) {
+  for ( let path in _path2package ) {
+    let packageObj = _path2package[path];
+    if ( _extensionPoints(packageObj).indexOf(point) === -1 ) {
+      continue;
+    }
+
+    let name = point.substring(packageObj.name.length + 1);
+    return _.assign({ package: packageObj.name }, packageObj.extensionPoints[name]);
+  }
+
+  return null;
+};
+
+/**
+ * Return the contributions to the extension point from all loaded packages. A package contributes
+ * in `contributes` of package.json keyed by the extension point, the value can be an item or an array
+ * of items. The ipc message `package:contributions-changed` with the point and its contributions will be
+ * sent to core and all windows when the packages contribute to it loaded or unloaded.
+ * @method contributions
+ * @param {string} point - The name of the extension point, e.g. `asset-db.importers`
+ * @return {object[]} Each item contains:
+ *  - package: the name of the contributor
+ *  - path: the path of the contributor
+ *  - value: the contributed item
+ * @example
+ * ```json
+ * {
+ *   "name": "fbx-importer",
+ *   "contributes": {
+ *     "asset-db.importers": [
+ *       { "extnames": [".fbx"], "module": "importer.js" }
+ *     ]
+ *   }
+ * }
+ * ```
+ */
+EditorPackage.contributions = function ( point ) {
+  let results = [];
+
+  for ( let path in _path2package ) {
+    let packageObj = _path2package[path];
+    let contributes = packageObj.contributes;
+    if ( !contributes || typeof contributes !== 'object' || contributes[point] === undefined ) {
+      continue;
+    }
+
+    let items = Array.isArray(contributes[point]) ? contributes[point] : [contributes[point]];
+    for ( let i = 0; i < items.length; ++i ) {
+      results.push({
+        package: packageObj.name,
+        path: path,
+        value: items[i],
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Return the loaded packages depend on the package directly or indirectly through
+ * `pkgDependencies`, in the order of unloading: a package comes before its dependencies.
+ * @method dependents
+ * @param {string} name - package name
+ * @return {string[]}
+ */
+EditorPackage.dependents = function ( name ) {
+  let results = [];
+
+  function _visit ( name ) {
+    _directDependents(name).forEach(dependent => {
+      if ( results.indexOf(dependent) !== -1 || dependent === name ) {
+        return;
+      }
+
+      _visit(dependent);
+      if ( results.indexOf(dependent) === -1 ) {
+        results.push(dependent);
+      }
+    });
+  }
+
+  _visit(name);
+
+  return results;
+};
+
+/**
+ * Unload a package at path, the loaded packages depend on it will be unloaded first.
+ * If the package failed to load, its failure is removed.
+ * @method unload
+ * @param {string} path - An absolute path point to a package folder
+ * @param {object} [opts] - Options
+ * @param {boolean} opts.force - Only unload the package, leave its dependents loaded
+ * @param {function} cb - Callback when finish unloading
+ */
+EditorPackage.unload = function ( path, opts, cb ) {
+  opts = opts || {};
+
+  if ( typeof opts === 'function' ) {
+    cb = opts;
+    opts = {};
+  }
+
+  let packageObj = _path2package[path];
+  if ( !packageObj ) {
+    delete _path2failure[path];
+    if ( cb ) {
+      cb ();
+    }
+    return;
+  }
+
+  let dependents = EditorPackage.dependents(packageObj.name);
+  if ( dependents.length ) {
+    if ( opts.force ) {
+      Editor.warn(
+        `Force unloading ${packageObj.name}, its dependents may not work: ${dependents.join(', ')}`
+      );
+      dependents = [];
+    } else {
+      Editor.warn( `Unloading ${packageObj.name} and its dependents: ${dependents.join(', ')}` );
+    }
+  }
+
+  Async.eachSeries(dependents, ( name, next ) => {
+    _unload( _name2packagePath[name], next );
+  }, () => {
+    _unload( path, cb );
+  });
+};
+
+/**
+ * Reload a package at path, the loaded packages depend on it will be unloaded first
+ * and reloaded after it
+ * @method reload
+ * @param {string} path - An absolute path point to a package folder
+ * @param {object} opts - Options
+ * @param {Boolean} opts.rebuild - If rebuild the project
+ * @param {function} cb - Callback when finish reloading
+ */
+EditorPackage.reload = function ( path, opts, cb ) {
+  opts = opts || {};
+  let rebuild = (typeof opts.rebuild === 'boolean') ? opts.rebuild : true;
+
+  let packageObj = _path2package[path];
+  let dependentPaths = [];
+  if ( packageObj ) {
+    dependentPaths = EditorPackage.dependents(packageObj.name).map(name => {
+      return _name2packagePath[name];
+    });
+  }
+
+  let loadError = null;
+
+  Async.series([
+    next => {
+      if ( !packageObj ) {
+        next ();
+        return;
+      }
+
+      if ( rebuild && packageObj.build ) {
+        Editor.log( 'Rebuilding ' + packageObj.name );
+        EditorPackage.build( path, next );
+        return;
+      }
+
+      next ();
+    },
+
+    next => {
+      EditorPackage.unload(path, next);
+    },
+
+    next => {
+      // NOTE: go on reloading the dependents even if the package failed to load,
+      //       so that they will not stay unloaded without being reported
+      EditorPackage.load(path, err => {
+        loadError = err;
+        next ();
+      });
+    },
+
+    next => {
+      // reload the dependents in the reverse order of unloading,
+      // the failures are recorded by EditorPackage.load
+      Async.eachSeries(dependentPaths.reverse(), ( dependentPath, done ) => {
+        EditorPackage.load(dependentPath, err => {
+          if ( err ) {
+            Editor.failed( `Failed to reload package at ${dependentPath}: ${err.message}` );
+          }
+          done ();
+        });
+      }, next);
+    },
+  ], err => {
+    if (cb) {
+      cb ( err || loadError );
     }
   });
 };
@@ -406,6 +1064,39 @@ EditorPackage.packageInfo = function ( path ) {
   return null;
 };
 
+/**
+ * Get the reload action for the changed file by the `reload` rules in package.json,
+ * the rules are globs relative to the package mapping to `test`, `page`, `core` or `ignore`,
+ * and fallback to the default layout when nothing matched
+ * @method reloadAction
+ * @param {string} path - The path of the changed file
+ * @return {string} The reload action, or null if the file is not in a loaded package
+ */
+EditorPackage.reloadAction = function ( path ) {
+  let packageObj = EditorPackage.packageInfo(path);
+  if ( !packageObj ) {
+    return null;
+  }
+
+  let relativePath = Path.relative( packageObj._path, path ).replace(/\\/g, '/');
+  let rules = [];
+
+  if ( packageObj.reload && typeof packageObj.reload === 'object' ) {
+    for ( let pattern in packageObj.reload ) {
+      rules.push([pattern, packageObj.reload[pattern]]);
+    }
+  }
+  rules = rules.concat(_defaultReloadRules);
+
+  for ( let i = 0; i < rules.length; ++i ) {
+    if ( Minimatch( relativePath, rules[i][0], { dot: true } ) ) {
+      return rules[i][1];
+    }
+  }
+
+  return 'core';
+};
+
 /**
  * Return the path of the package by name
  * @method packagePath
@@ -441,36 +1132,99 @@ EditorPackage.build = function ( path, cb ) {
 };
 
 /**
- * Add package search path
+ * Build the package at path if it needs building and its `bin/dev` is out of date,
+ * so that the packages can be built concurrently before loading them in order.
+ * The result and the time are used by the next {@link Editor.Package.load} of the path,
+ * the package failed the manifest or hosts check is not built.
+ * @method prebuild
+ * @param {string} path
+ * @param {function} cb - Callback when finish building
+ */
+EditorPackage.prebuild = function ( path, cb ) {
+  let packageObj = _readPackageInfo(path);
+  if ( _path2package[path] || !packageObj ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  // NOTE: the load will report the problems
+  let invalid = PackageManifest.validate(packageObj).some(problem => !problem.warning);
+  if ( invalid || _checkHosts(packageObj) ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  let start = _now();
+  packageObj._path = path;
+  _build( packageObj, false, ( err, destPath ) => {
+    _path2prebuild[path] = {
+      time: _now() - start,
+      error: err,
+      destPath: destPath,
+    };
+
+    if ( cb ) cb ( err );
+  });
+};
+
+/**
+ * Add package search path. When the packages have been loaded, the packages under the
+ * new path will be loaded and the path will be watched.
  * @method addPath
  * @param {string|array} path
+ * @param {function} [cb] - Callback when the packages under the path loaded
  */
-EditorPackage.addPath = function ( path ) {
+EditorPackage.addPath = function ( path, cb ) {
   if ( !Array.isArray(path) ) {
     path = [path];
   }
 
+  let added = _.difference( _.uniq(path), _packageSearchPaths );
   _packageSearchPaths = _.union( _packageSearchPaths, path );
+
+  if ( !added.length ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  Editor._syncPackagePaths( added, [], cb );
 };
 
 /**
- * Remove search path from package search path list
+ * Remove search path from package search path list. When the packages have been loaded,
+ * the packages under the path will be unloaded and the path will not be watched anymore.
+ * The packages of the same names in the remaining paths are loaded instead, so are the dependents unloaded along.
  * @method removePath
  * @param {string} path
+ * @param {function} [cb] - Callback when the packages under the path unloaded
  */
-EditorPackage.removePath = function ( path ) {
+EditorPackage.removePath = function ( path, cb ) {
   let idx = _packageSearchPaths.indexOf(path);
-  if ( idx !== -1 ) {
-    _packageSearchPaths.splice(idx,1);
+  if ( idx === -1 ) {
+    if ( cb ) cb ();
+    return;
   }
+
+  _packageSearchPaths.splice(idx,1);
+  Editor._syncPackagePaths( [], [path], cb );
 };
 
 /**
- * Reset path
+ * Remove all package search paths. When the packages have been loaded, the packages under
+ * the paths will be unloaded.
  * @method resetPath
+ * @param {function} [cb] - Callback when the packages under the paths unloaded
  */
-EditorPackage.resetPath = function () {
+EditorPackage.resetPath = function ( cb ) {
+  let removed = _packageSearchPaths;
   _packageSearchPaths = [];
+
+  if ( !removed.length ) {
+    if ( cb ) cb ();
+    return;
+  }
+
+  Editor._syncPackagePaths( [], removed, cb );
 };
 
 /**
@@ -493,6 +1247,328 @@ EditorPackage.find = function ( name ) {
   return null;
 };
 
+/**
+ * Build the dependency graph of the packages and plan the load order, the dependencies in
+ * `pkgDependencies` are placed before the packages depend on them. The packages in a
+ * dependency cycle are excluded from the order and reported in `cycles`. If several paths
+ * contain the same package, the highest version is planned and the others are reported in `shadowed`.
+ * @method plan
+ * @param {string[]} paths - The paths of the packages
+ * @param {object} [opts] - Options
+ * @param {boolean} opts.save - Save it as the startup plan, which can be queried via ipc `package:query-load-plan`
+ * @return {object} The plan contains:
+ *  - order: the packages in load order, each item contains `name`, `path` and `deps` (the names in `pkgDependencies`)
+ *  - cycles: the cycle paths, e.g. `['foo', 'bar', 'foo']`
+ *  - shadowed: the packages not planned, each item contains `name`, `path` and `by` (the path planned)
+ */
+EditorPackage.plan = function ( paths, opts ) {
+  opts = opts || {};
+
+  let allNodes = [];
+  let name2node = {};
+
+  paths.forEach(path => {
+    let info = _readPackageInfo(path);
+    let node = {
+      name: info && info.name ? info.name : Path.basename(path),
+      path: path,
+      version: info && Semver.valid(info.version) ? info.version : null,
+      deps: info && info.pkgDependencies ? Object.keys(info.pkgDependencies) : [],
+      state: '',
+      cyclic: false,
+    };
+    allNodes.push(node);
+
+    // NOTE: same as resolving the dependencies, the highest version wins, the first one if they are equal
+    let current = name2node[node.name];
+    if ( !current || ( node.version && ( !current.version || Semver.gt(node.version, current.version) ) ) ) {
+      name2node[node.name] = node;
+    }
+  });
+
+  let nodes = allNodes.filter(node => name2node[node.name] === node);
+  let shadowed = allNodes.filter(node => name2node[node.name] !== node).map(node => {
+    return { name: node.name, path: node.path, by: name2node[node.name].path };
+  });
+
+  let order = [];
+  let cycles = [];
+  let stack = [];
+
+  function _visit ( node ) {
+    if ( node.state === 'visited' ) {
+      return;
+    }
+
+    if ( node.state === 'visiting' ) {
+      let cycle = stack.slice(stack.indexOf(node.name)).concat(node.name);
+      cycle.forEach(name => {
+        name2node[name].cyclic = true;
+      });
+      cycles.push(cycle);
+      return;
+    }
+
+    node.state = 'visiting';
+    stack.push(node.name);
+
+    node.deps.forEach(name => {
+      // NOTE: the dependencies not in the list will be resolved when loading
+      let depNode = name2node[name];
+      if ( depNode ) {
+        _visit(depNode);
+      }
+    });
+
+    stack.pop();
+    node.state = 'visited';
+    order.push(node);
+  }
+
+  nodes.forEach(_visit);
+
+  let plan = {
+    order: order.filter(node => !node.cyclic).map(node => {
+      return { name: node.name, path: node.path, deps: node.deps };
+    }),
+    cycles: cycles,
+    shadowed: shadowed,
+  };
+
+  if ( opts.save ) {
+    _loadPlan = plan;
+  }
+
+  return plan;
+};
+
+/**
+ * Check if the package is enabled, the disabled packages are stored in the `local` profile `packages`
+ * @method isEnabled
+ * @param {string} name - package name
+ * @return {boolean}
+ */
+EditorPackage.isEnabled = function ( name ) {
+  return _packagesProfile().disabled.indexOf(name) === -1;
+};
+
+/**
+ * Enable the package and load it
+ * @method enable
+ * @param {string} name - package name
+ * @param {function} cb - Callback when finish loading
+ */
+EditorPackage.enable = function ( name, cb ) {
+  let profile = _packagesProfile();
+  let idx = profile.disabled.indexOf(name);
+  if ( idx !== -1 ) {
+    profile.disabled.splice(idx,1);
+    profile.save();
+    Editor.sendToWindows('package:enabled', name);
+  }
+
+  let path = _findPackagePath(name);
+  if ( !path ) {
+    if ( cb ) {
+      cb ( new Error( `Package ${name} not found` ) );
+    }
+    return;
+  }
+
+  EditorPackage.load(path, cb);
+};
+
+/**
+ * Disable the package, if the package is loaded, close its panels and the panels of its dependents and unload them
+ * @method disable
+ * @param {string} name - package name
+ * @param {function} cb - Callback when finish unloading
+ */
+EditorPackage.disable = function ( name, cb ) {
+  let profile = _packagesProfile();
+  if ( profile.disabled.indexOf(name) === -1 ) {
+    profile.disabled.push(name);
+    profile.save();
+    Editor.sendToWindows('package:disabled', name);
+  }
+
+  let path = _name2packagePath[name];
+  if ( !path ) {
+    if ( cb ) {
+      cb ();
+    }
+    return;
+  }
+
+  // the dependents are unloaded along with the package
+  [name].concat(EditorPackage.dependents(name)).forEach(pkgName => {
+    Editor.Panel.closeAll(pkgName);
+  });
+  EditorPackage.unload(path, cb);
+};
+
+function _findFailure ( name ) {
+  for ( let path in _path2failure ) {
+    if ( _path2failure[path].name === name ) {
+      return _path2failure[path];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Return the info of the package, the disabled packages in the search paths
+ * and the packages failed to load are also reported
+ * @method queryInfo
+ * @param {string} name - package name
+ * @return {object} The info contains:
+ *  - path: the package path
+ *  - builtin: if the package is a builtin package
+ *  - enabled: if the package is enabled
+ *  - status: `loaded`, `disabled`, `failed` or `unloaded`
+ *  - error: the failure contains `phase` (json, hosts, deps, build, i18n, main), `message`, `stack` and `time`
+ *  - info: the package info
+ */
+EditorPackage.queryInfo = function ( name ) {
+  let enabled = EditorPackage.isEnabled(name);
+  let path = _name2packagePath[name];
+  let failure = _findFailure(name);
+  let status = 'unloaded';
+  let error = null;
+  let info = null;
+
+  if ( path ) {
+    // NOTE: the package failed to activate is loaded but reported as failed
+    status = failure && failure.path === path ? 'failed' : 'loaded';
+    info = _path2package[path];
+  } else if ( !enabled ) {
+    status = 'disabled';
+    path = _findPackagePath(name);
+    info = path ? _readPackageInfo(path) : null;
+  } else if ( failure ) {
+    status = 'failed';
+    path = failure.path;
+    info = _readPackageInfo(path);
+  }
+
+  if ( status === 'failed' ) {
+    error = {
+      phase: failure.phase,
+      message: failure.message,
+      stack: failure.stack,
+      time: failure.time,
+    };
+  }
+
+  path = path ? path : '';
+  let builtinPath = Path.join( Editor.App.path, 'builtin' );
+
+  return {
+    path: path,
+    builtin: Path.contains( builtinPath, path ),
+    enabled: enabled,
+    status: status,
+    error: error,
+    info: info,
+  };
+};
+
+/**
+ * Return the packages failed to load
+ * @method failures
+ * @return {object[]} Each item contains `name`, `path`, `phase`, `message`, `stack` and `time`
+ */
+EditorPackage.failures = function () {
+  let results = [];
+  for ( let path in _path2failure ) {
+    results.push(_path2failure[path]);
+  }
+  return results;
+};
+
+/**
+ * Return the load timings of the packages, sorted by the self time in descending order
+ * @method timings
+ * @return {object[]} Each item contains `name`, `path`, `start`, `failed`, `total`, `self`
+ *  (the total without loading the dependencies) and `phases` (manifest, hosts, deps, build,
+ *  i18n, require, load, register) in milliseconds
+ */
+EditorPackage.timings = function () {
+  let results = [];
+  for ( let path in _path2timing ) {
+    results.push(_path2timing[path]);
+  }
+
+  return results.sort(( a, b ) => {
+    return b.self - a.self;
+  });
+};
+
+/**
+ * Try to load the failed package again, the package failed to activate will be activated again
+ * @method retry
+ * @param {string} name - package name
+ * @param {function} cb - Callback when finish loading
+ */
+EditorPackage.retry = function ( name, cb ) {
+  let failure = _findFailure(name);
+  if ( !failure ) {
+    if ( cb ) {
+      cb ( new Error( `Package ${name} is not failed` ) );
+    }
+    return;
+  }
+
+  if ( _path2package[failure.path] ) {
+    let err = EditorPackage.activate(name) ? null : new Error( `Failed to activate package ${name}` );
+    if ( cb ) {
+      cb ( err );
+    }
+    return;
+  }
+
+  EditorPackage.load(failure.path, cb);
+};
+
+/**
+ * Return the infos of all loaded packages, the disabled packages in the search paths
+ * and the packages failed to load
+ * @method queryInfos
+ * @return {object[]} Each item is the result of {@link Editor.Package.queryInfo}
+ */
+EditorPackage.queryInfos = function () {
+  let results = [];
+
+  for ( let path in _path2package ) {
+    results.push(EditorPackage.queryInfo(_path2package[path].name));
+  }
+
+  _packagesProfile().disabled.forEach(name => {
+    if ( _name2packagePath[name] ) {
+      return;
+    }
+
+    let result = EditorPackage.queryInfo(name);
+    if ( result.info ) {
+      results.push(result);
+    }
+  });
+
+  for ( let path in _path2failure ) {
+    if ( _path2package[path] ) {
+      continue;
+    }
+
+    let result = EditorPackage.queryInfo(_path2failure[path].name);
+    if ( result.status === 'failed' ) {
+      results.push(result);
+    }
+  }
+
+  return results;
+};
+
 /**
  * Return package search path list
  * @property {array} paths
@@ -513,33 +1589,42 @@ module.exports = EditorPackage;
 const ipcMain = Electron.ipcMain;
 
 ipcMain.on('package:query-infos', (event, reply) => {
-  let builtinPath = Path.join( Editor.App.path, 'builtin' );
-  let results = [];
+  reply(EditorPackage.queryInfos());
+});
 
-  for ( let path in _path2package ) {
-    results.push({
-      path: path,
-      builtin: Path.contains( builtinPath, path ),
-      enabled: true, // TODO:
-      info: _path2package[path],
-    });
-  }
+ipcMain.on('package:query-info', (event, reply, name) => {
+  reply(EditorPackage.queryInfo(name));
+});
 
-  reply(results);
+ipcMain.on('package:query-contributions', (event, reply, point) => {
+  reply(EditorPackage.contributions(point));
 });
 
-ipcMain.on('package:query-info', (event, reply, name) => {
-  let path = _name2packagePath[name];
-  path = path ? path : '';
+ipcMain.on('package:query-load-plan', (event, reply) => {
+  reply(_loadPlan);
+});
 
-  let info = _path2package[path];
-  let builtinPath = Path.join( Editor.App.path, 'builtin' );
+ipcMain.on('package:query-timings', (event, reply) => {
+  reply(EditorPackage.timings());
+});
 
-  reply({
-    path: path,
-    builtin: Path.contains( builtinPath, path ),
-    enabled: true, // TODO:
-    info: info,
+ipcMain.on('package:enable', (event, name) => {
+  EditorPackage.enable(name, err => {
+    if ( err ) {
+      Editor.error(`Failed to enable package ${name}: ${err.message}`);
+    }
+  });
+});
+
+ipcMain.on('package:disable', (event, name) => {
+  EditorPackage.disable(name);
+});
+
+ipcMain.on('package:retry', (event, name) => {
+  EditorPackage.retry(name, err => {
+    if ( err ) {
+      Editor.failed(`Failed to load package ${name}: ${err.message}`);
+    }
   });
 });
 
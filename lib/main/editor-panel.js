@@ -68,6 +68,7 @@ let EditorPanel = {
     }
 
     _panel2argv[panelID] = argv;
+    Editor.Package.activatePanel(panelID);
 
     let editorWin = EditorPanel.findWindow(panelID);
     if ( editorWin ) {
@@ -242,7 +243,7 @@ let EditorPanel = {
 
       let name = pair[0];
       if ( name === packageName ) {
-        panelIDs.push(pair);
+        panelIDs.push(p);
       }
     }
 
@@ -301,6 +302,9 @@ ipcMain.on('panel:query-info', ( event, reply, panelID ) => {
   // get panelInfo
   let panelInfo = Editor.Package.panelInfo(panelID);
   if ( panelInfo ) {
+    // the panel may be opened by the layout
+    Editor.Package.activatePanel(panelID);
+
     // load profiles
     for ( let type in panelInfo.profiles ) {
       let profile = panelInfo.profiles[type];
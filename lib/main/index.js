@@ -25,8 +25,9 @@ const app = Electron.app;
 // this will prevent default atom-shell uncaughtException
 process.removeAllListeners('uncaughtException');
 process.on('uncaughtException', err => {
+  // NOTE: the message shows err.stack, and the frames of the record are picked from err
   if ( Editor && Editor.error ) {
-    Editor.error(err.stack || err);
+    Editor.error(err);
     return;
   }
   console.log( Chalk.red.inverse.bold('Uncaught Exception: ') + Chalk.red( err.stack || err ) );
@@ -137,7 +138,13 @@ if ( process.platform === 'darwin' ) {
 
 Fs.ensureDirSync(_logpath);
 
-const _logfile = Path.join(_logpath, Editor.App.name + '.log');
+/**
+ * Manage the log files of each session
+ * @property Log
+ * @type object
+ */
+Editor.Log = require('./editor-log');
+
 const winstonLevels = {
   normal   : 0,
   success  : 1,
@@ -198,6 +205,46 @@ const levelToFormat = {
   },
 };
 
+// ---------------------------
+// startup profile
+// ---------------------------
+
+const _timingPhases = ['manifest', 'hosts', 'deps', 'build', 'i18n', 'require', 'load', 'register'];
+
+function _printStartupProfile () {
+  let timings = Editor.Package.timings();
+  let header = ['package', 'self', 'total'].concat(_timingPhases);
+  let rows = timings.map(timing => {
+    let row = [timing.failed ? `${timing.name} (failed)` : timing.name];
+
+    [timing.self, timing.total].concat(_timingPhases.map(phase => {
+      return timing.phases[phase] || 0;
+    })).forEach(ms => {
+      row.push(ms.toFixed(1));
+    });
+
+    return row;
+  });
+
+  let widths = header.map(( title, idx ) => {
+    return Math.max.apply(null, rows.map(row => {
+      return row[idx].length;
+    }).concat(title.length));
+  });
+
+  let lines = [header].concat(rows).map(row => {
+    return row.map(( text, idx ) => {
+      return idx === 0 ? _.padEnd(text, widths[idx]) : _.padStart(text, widths[idx]);
+    }).join('  ');
+  });
+
+  let total = timings.reduce(( sum, timing ) => {
+    return sum + timing.self;
+  }, 0);
+
+  Editor.info(`Startup profile of ${timings.length} packages (ms), ${total.toFixed(1)}ms in total:\n${lines.join('\n')}`);
+}
+
 // ---------------------------
 // register app events
 // ---------------------------
@@ -264,6 +311,7 @@ app.on('ready', () => {
     .option('--debug <port>', 'Open in browser context debug mode', parseInt )
     .option('--debug-brk <port>', 'Open in browser context debug mode, and break at first.', parseInt)
     .option('--lang <name>', 'Choose a language')
+    .option('--profile-startup', 'Print the load timings of packages after the app runs')
     ;
 
     // for test
@@ -307,13 +355,11 @@ app.on('ready', () => {
   Winston.remove(Winston.transports.Console);
 
   if ( runMode !== 'test' ) {
-    if ( Fs.existsSync(_logfile) ) {
-      Fs.unlinkSync(_logfile);
-    }
-
     Winston.add(Winston.transports.File, {
       level: 'uncaught',
-      filename: _logfile,
+      filename: Editor.Log.start(_logpath),
+      maxsize: Editor.Log.maxSize,
+      maxFiles: Editor.Log.maxFiles,
       json: false,
     });
 
@@ -349,6 +395,7 @@ app.on('ready', () => {
   Editor.isDev = Commander.dev;
   Editor.showDevtools = Commander.showDevtools;
   Editor.debugPort = Commander.debug;
+  Editor.profileStartup = Commander.profileStartup;
 
   // TODO: support other language
   let osLang = OsLocale.sync().indexOf('zh') !== -1 ? 'zh' : 'en';
@@ -436,6 +483,11 @@ app.on('ready', () => {
 
       try {
         Editor.App.run();
+
+        if ( Editor.profileStartup ) {
+          _printStartupProfile();
+        }
+
         next();
       } catch ( err ) {
         Editor.error(err.stack || err);
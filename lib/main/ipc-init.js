@@ -311,7 +311,9 @@ ipcMain.on('editor:sendreq2core', function (event, channel, sessionId, args) {
 
 ipcMain.on( 'editor:load-profile', ( event, reply, name, type ) => {
   let profile = Editor.loadProfile( name, type );
-  reply(profile);
+
+  // NOTE: only send the data, the functions in the profile can not pass through ipc
+  reply(profile ? JSON.parse(JSON.stringify(profile)) : profile);
 });
 
 ipcMain.on( 'editor:save-profile', ( event, name, type, value ) => {
@@ -322,3 +324,7 @@ ipcMain.on( 'editor:save-profile', ( event, name, type, value ) => {
     profile.save();
   }
 });
+
+ipcMain.on( 'editor:package-reload-status', ( event, reply, name ) => {
+  reply(Editor.packageReloadStatus(name));
+});
@@ -270,6 +270,24 @@ function _defaultMainMenu () {
           }
         },
         { type: 'separator' },
+        {
+          label: Editor.T('MAIN_MENU.developer.export_log'),
+          click () {
+            let path = Editor.Dialog.saveFile({
+              title: Editor.T('MAIN_MENU.developer.export_log'),
+              defaultPath: `${Editor.App.name}-log.html`,
+              filters: [
+                { name: 'HTML', extensions: ['html'] },
+                { name: 'JSON', extensions: ['json'] },
+              ],
+            });
+
+            if ( path ) {
+              Editor.Log.export(path);
+            }
+          }
+        },
+        { type: 'separator' },
         {
           label: 'Human Tests',
           visible: Editor.isDev,
@@ -0,0 +1,309 @@
+'use strict';
+
+const Semver = require('semver');
+
+const _panelTypes = ['dockable', 'float', 'fixed-size', 'quick', 'simple'];
+const _reloadActions = ['test', 'page', 'core', 'ignore'];
+const _panelSizes = ['width', 'height', 'min-width', 'min-height', 'max-width', 'max-height'];
+
+function _typeOf ( value ) {
+  if ( value === null ) {
+    return 'null';
+  }
+
+  if ( Array.isArray(value) ) {
+    return 'array';
+  }
+
+  return typeof value;
+}
+
+// foo.bar, foo['Test Case/Simple']
+function _jsonPath ( parent, key ) {
+  if ( /^[a-zA-Z_$][\w$]*$/.test(key) ) {
+    return parent ? `${parent}.${key}` : key;
+  }
+
+  return `${parent}[${JSON.stringify(key)}]`;
+}
+
+class Diagnostics {
+  constructor () {
+    this.problems = [];
+  }
+
+  report ( path, message ) {
+    this.problems.push({ path: path, message: message });
+  }
+
+  // the problems the package can still be loaded with
+  warn ( path, message ) {
+    this.problems.push({ path: path, message: message, warning: true });
+  }
+
+  // check the type, report and return false if mismatched
+  expect ( path, value, types ) {
+    types = Array.isArray(types) ? types : [types];
+
+    let type = _typeOf(value);
+    if ( types.indexOf(type) === -1 ) {
+      this.report( path, `expect ${types.join(' or ')} but got ${type}` );
+      return false;
+    }
+
+    return true;
+  }
+
+  optional ( obj, key, parent, types ) {
+    if ( obj[key] === undefined ) {
+      return false;
+    }
+
+    return this.expect( _jsonPath(parent, key), obj[key], types );
+  }
+
+  stringArray ( path, value ) {
+    if ( !this.expect( path, value, 'array' ) ) {
+      return;
+    }
+
+    value.forEach((item, idx) => {
+      this.expect( `${path}[${idx}]`, item, 'string' );
+    });
+  }
+
+  ranges ( path, value ) {
+    if ( !this.expect( path, value, 'object' ) ) {
+      return;
+    }
+
+    for ( let name in value ) {
+      let rangePath = _jsonPath(path, name);
+      if ( this.expect( rangePath, value[name], 'string' ) && !Semver.validRange(value[name]) ) {
+        this.report( rangePath, `invalid version range "${value[name]}"` );
+      }
+    }
+  }
+}
+
+function _validateMenus ( diag, menus ) {
+  if ( !diag.expect( 'menus', menus, 'object' ) ) {
+    return;
+  }
+
+  for ( let menuPath in menus ) {
+    let path = _jsonPath('menus', menuPath);
+    let menuOpts = menus[menuPath];
+
+    // NOTE: the menu must be added to a parent menu, the top level one is skipped when loading
+    if ( menuPath.indexOf('/') === -1 ) {
+      diag.warn( path, 'the menu path must contain a parent menu, e.g. "foo/bar"' );
+    }
+
+    if ( !diag.expect( path, menuOpts, 'object' ) ) {
+      continue;
+    }
+
+    diag.optional( menuOpts, 'message', path, 'string' );
+    diag.optional( menuOpts, 'panel', path, 'string' );
+    diag.optional( menuOpts, 'icon', path, 'string' );
+    diag.optional( menuOpts, 'params', path, 'array' );
+  }
+}
+
+function _validateShortcuts ( diag, path, shortcuts ) {
+  if ( !diag.expect( path, shortcuts, 'object' ) ) {
+    return;
+  }
+
+  for ( let key in shortcuts ) {
+    let keyPath = _jsonPath(path, key);
+
+    // the shortcuts for a sub-element, e.g. "#view": { "command+delete": "delete" }
+    if ( key[0] === '#' ) {
+      if ( !diag.expect( keyPath, shortcuts[key], 'object' ) ) {
+        continue;
+      }
+
+      for ( let subKey in shortcuts[key] ) {
+        diag.expect( _jsonPath(keyPath, subKey), shortcuts[key][subKey], 'string' );
+      }
+      continue;
+    }
+
+    diag.expect( keyPath, shortcuts[key], 'string' );
+  }
+}
+
+// NOTE: the size can be a number, a number string or 'auto'
+function _validatePanelSize ( diag, path, value ) {
+  if ( value === undefined || typeof value === 'number' || value === 'auto' ) {
+    return;
+  }
+
+  if ( typeof value !== 'string' || isNaN(parseInt(value)) ) {
+    diag.report( path, `expect number or "auto" but got ${JSON.stringify(value)}` );
+  }
+}
+
+function _validatePanels ( diag, panels ) {
+  if ( !diag.expect( 'panels', panels, 'object' ) ) {
+    return;
+  }
+
+  for ( let panelName in panels ) {
+    let path = _jsonPath('panels', panelName);
+    let panelInfo = panels[panelName];
+
+    if ( !diag.expect( path, panelInfo, 'object' ) ) {
+      continue;
+    }
+
+    if ( panelInfo.frame === undefined ) {
+      diag.report( _jsonPath(path, 'frame'), 'required' );
+    } else {
+      diag.optional( panelInfo, 'frame', path, 'string' );
+    }
+
+    if ( diag.optional( panelInfo, 'type', path, 'string' ) && _panelTypes.indexOf(panelInfo.type) === -1 ) {
+      diag.report( _jsonPath(path, 'type'), `expect one of ${_panelTypes.join(', ')}` );
+    }
+
+    diag.optional( panelInfo, 'title', path, 'string' );
+    diag.optional( panelInfo, 'popable', path, 'boolean' );
+
+    for ( let i = 0; i < _panelSizes.length; ++i ) {
+      _validatePanelSize( diag, _jsonPath(path, _panelSizes[i]), panelInfo[_panelSizes[i]] );
+    }
+
+    if ( panelInfo.messages !== undefined ) {
+      diag.stringArray( _jsonPath(path, 'messages'), panelInfo.messages );
+    }
+
+    if ( panelInfo.shortcuts !== undefined ) {
+      _validateShortcuts( diag, _jsonPath(path, 'shortcuts'), panelInfo.shortcuts );
+    }
+
+    if ( diag.optional( panelInfo, 'profiles', path, 'object' ) ) {
+      for ( let type in panelInfo.profiles ) {
+        diag.expect( _jsonPath(_jsonPath(path, 'profiles'), type), panelInfo.profiles[type], 'object' );
+      }
+    }
+  }
+}
+
+function _validateActivation ( diag, activation ) {
+  if ( !diag.expect( 'activation', activation, 'object' ) ) {
+    return;
+  }
+
+  if ( activation.messages !== undefined ) {
+    diag.stringArray( 'activation.messages', activation.messages );
+  }
+
+  if ( activation.panels !== undefined && activation.panels !== true ) {
+    diag.stringArray( 'activation.panels', activation.panels );
+  }
+
+  diag.optional( activation, 'menus', 'activation', 'boolean' );
+}
+
+function _validateReload ( diag, reload ) {
+  if ( !diag.expect( 'reload', reload, 'object' ) ) {
+    return;
+  }
+
+  for ( let pattern in reload ) {
+    let path = _jsonPath('reload', pattern);
+    if ( diag.expect( path, reload[pattern], 'string' ) && _reloadActions.indexOf(reload[pattern]) === -1 ) {
+      diag.report( path, `expect one of ${_reloadActions.join(', ')}` );
+    }
+  }
+}
+
+/**
+ * Validate the package.json before loading the package
+ * @module PackageManifest
+ */
+let PackageManifest = {
+  /**
+   * Validate the manifest, report every problem with its JSON path
+   * @method validate
+   * @param {object} manifest - The content of package.json
+   * @return {object[]} The problems, each contains `path` and `message`, and `warning` is true
+   *  if the package can still be loaded with it
+   */
+  validate ( manifest ) {
+    let diag = new Diagnostics();
+
+    if ( !diag.expect( '', manifest, 'object' ) ) {
+      return diag.problems;
+    }
+
+    if ( manifest.name === undefined ) {
+      diag.report( 'name', 'required' );
+    } else if ( diag.expect( 'name', manifest.name, 'string' ) && !manifest.name ) {
+      diag.report( 'name', 'can not be empty' );
+    }
+
+    // NOTE: the version is only required when the package is a dependency of the others,
+    //       the missing one is reported when a dependent resolves the package
+    if ( manifest.version !== undefined &&
+         diag.expect( 'version', manifest.version, 'string' ) &&
+         !Semver.valid(manifest.version) ) {
+      diag.warn( 'version', `invalid version "${manifest.version}"` );
+    }
+
+    diag.optional( manifest, 'main', '', 'string' );
+    diag.optional( manifest, 'build', '', ['boolean', 'string'] );
+
+    if ( manifest.hosts !== undefined ) {
+      diag.ranges( 'hosts', manifest.hosts );
+    }
+
+    if ( manifest.pkgDependencies !== undefined ) {
+      diag.ranges( 'pkgDependencies', manifest.pkgDependencies );
+    }
+
+    if ( manifest.menus !== undefined ) {
+      _validateMenus( diag, manifest.menus );
+    }
+
+    if ( manifest.panels !== undefined ) {
+      _validatePanels( diag, manifest.panels );
+    }
+
+    if ( manifest.activation !== undefined ) {
+      _validateActivation( diag, manifest.activation );
+    }
+
+    if ( manifest.reload !== undefined ) {
+      _validateReload( diag, manifest.reload );
+    }
+
+    diag.optional( manifest, 'extensionPoints', '', 'object' );
+    diag.optional( manifest, 'contributes', '', 'object' );
+
+    return diag.problems;
+  },
+
+  /**
+   * Aggregate the problems to a single error
+   * @method error
+   * @param {string} name - The name or the path of the package
+   * @param {object[]} problems - The problems returned by {@link PackageManifest.validate}
+   * @return {Error} The error with `problems`
+   */
+  error ( name, problems ) {
+    let lines = problems.map(problem => {
+      return `  ${problem.path || '(root)'}: ${problem.message}`;
+    });
+
+    let err = new Error( `Invalid package.json of ${name}:\n${lines.join('\n')}` );
+    err.problems = problems;
+
+    return err;
+  },
+};
+
+module.exports = PackageManifest;
@@ -6,10 +6,10 @@
   const remote = Electron.remote;
   const ipcRenderer = Electron.ipcRenderer;
 
-  const Util = require('util');
   const Path = require('fire-path');
   const Url = require('fire-url');
   const Async = require('async');
+  const LogUtils = require('../share/log-utils');
 
   window.unused = () => {};
 
@@ -82,11 +82,42 @@
   };
 
   // profile
+  let _key2profile = {};
+
+  function _updateProfile ( profile, data ) {
+    for ( let p in profile ) {
+      if ( typeof profile[p] !== 'function' ) {
+        delete profile[p];
+      }
+    }
+
+    for ( let p in data ) {
+      profile[p] = data[p];
+    }
+  }
+
+  // NOTE: the profile will be updated when it is changed in core or other windows
   Editor.loadProfile = function ( name, type, cb ) {
-    Editor.sendRequestToCore( 'editor:load-profile', name, type, profile => {
-      profile.save = function () {
-        Editor.sendToCore('editor:save-profile', name, type, profile);
-      };
+    Editor.sendRequestToCore( 'editor:load-profile', name, type, data => {
+      if ( !data ) {
+        if ( cb ) {
+          cb (data);
+        }
+        return;
+      }
+
+      let key = `${type}:${name}`;
+      let profile = _key2profile[key];
+
+      if ( !profile ) {
+        profile = {};
+        profile.save = function () {
+          Editor.sendToCore('editor:save-profile', name, type, profile);
+        };
+        _key2profile[key] = profile;
+      }
+
+      _updateProfile( profile, data );
 
       if ( cb ) {
         cb (profile);
@@ -98,75 +129,125 @@
   // console log API
   // ==========================
 
+  function _format ( args ) {
+    if ( args.length > 1 ) {
+      return LogUtils.format(args);
+    }
+    return '' + args[0];
+  }
+
+  function _callStack () {
+    let err = new Error('dummy');
+    let lines = err.stack.split('\n');
+
+    // skip 'Error: dummy', _callStack, _log and the Editor.xxx log function
+    return lines.splice(4).join('\n');
+  }
+
+  function _source ( frames ) {
+    let panelID = '';
+    let packageName = '';
+
+    for ( let i = 0; i < frames.length; ++i ) {
+      let file = frames[i].file;
+
+      if ( Editor.Panel ) {
+        panelID = Editor.Panel.findID(file);
+        if ( panelID ) {
+          break;
+        }
+      }
+
+      let matches = /^packages:\/\/([^\/]+)/.exec(file);
+      if ( matches ) {
+        packageName = matches[1];
+        break;
+      }
+    }
+
+    if ( !panelID && !packageName ) {
+      panelID = Editor.argv.panelID || '';
+    }
+
+    if ( panelID ) {
+      packageName = panelID.split('.')[0];
+    }
+
+    return {
+      process: 'page',
+      package: packageName,
+      panel: panelID,
+    };
+  }
+
+  function _log ( type, args ) {
+    let text = _format(args);
+    let stack = _callStack();
+    let callFrames = LogUtils.parseStack(stack);
+    let opts = _source(callFrames);
+
+    if ( type === 'error' ) {
+      let errorStack = LogUtils.errorStack(args);
+
+      if ( errorStack ) {
+        // NOTE: show the stack where the error was thrown instead of the call stack
+        text = _format(args.map(arg => {
+          return arg instanceof Error && arg.stack ? arg.stack : arg;
+        }));
+        opts.frames = LogUtils.parseStack(errorStack);
+      } else {
+        text = text + '\n' + stack;
+        opts.frames = callFrames;
+      }
+    }
+
+    Editor.sendToCore( '_console:record', LogUtils.create( type, text, args, opts ) );
+  }
+
+  // NOTE: this is invoked by window.onerror, the error has been printed by the default handler
+  Editor._logUncaught = function ( err ) {
+    let stack = err.stack || ('' + err);
+    let frames = LogUtils.parseStack(err.stack);
+    let opts = _source(frames);
+    opts.frames = frames;
+
+    Editor.sendToCore( '_console:record', LogUtils.create( 'error', stack, [err], opts ) );
+  };
+
   /**
    * Log the normal message and show on the console.
    * The method will send ipc message `console:log` to core.
    * @method log
    * @param {...*} [arg] - whatever arguments the message needs
    */
-  Editor.log = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.log(text);
-    Editor.sendToCore('console:log', text);
+  Editor.log = function (...args) {
+    console.log(_format(args));
+    _log( 'log', args );
   };
 
-  Editor.success = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.log('%c' + text, 'color: green');
-    Editor.sendToCore('console:success', text);
+  Editor.success = function (...args) {
+    console.log('%c' + _format(args), 'color: green');
+    _log( 'success', args );
   };
 
-  Editor.failed = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.log('%c' + text, 'color: red');
-    Editor.sendToCore('console:failed', text);
+  Editor.failed = function (...args) {
+    console.log('%c' + _format(args), 'color: red');
+    _log( 'failed', args );
   };
 
-  Editor.info = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.info(text);
-    Editor.sendToCore('console:info', text);
+  Editor.info = function (...args) {
+    console.info(_format(args));
+    _log( 'info', args );
   };
 
-  Editor.warn = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.warn(text);
-    Editor.sendToCore('console:warn', text);
+  Editor.warn = function (...args) {
+    console.warn(_format(args));
+    _log( 'warn', args );
   };
 
-  Editor.error = function (text, ...args) {
-    if ( args.length ) {
-      text = Util.format.apply(Util, arguments);
-    } else {
-      text = '' + text;
-    }
-    console.error(text);
-
-    let e = new Error('dummy');
-    let lines = e.stack.split('\n');
-    text = text + '\n' + lines.splice(2).join('\n');
-
-    Editor.sendToCore('console:error',text);
+  Editor.error = function (...args) {
+    console.error(_format(args));
+    _log( 'error', args );
   };
 
   // ==========================
@@ -275,6 +356,9 @@
     Editor.elements[obj.is] = Polymer(obj);
   };
 
+  // NOTE: an element can not be registered twice, the panels reloaded in place get new names
+  let _panelElementCounts = {};
+
   Editor.registerPanel = function ( panelID, obj ) {
     if ( !obj.is ) {
       let script = document.currentScript;
@@ -296,6 +380,16 @@
       return;
     }
 
+    let count = _panelElementCounts[obj.is] || 0;
+    _panelElementCounts[obj.is] = count + 1;
+    if ( count > 0 ) {
+      let module = Polymer.DomModule.import(obj.is);
+      obj.is = `${obj.is}-reload-${count}`;
+      if ( module ) {
+        module.register(obj.is);
+      }
+    }
+
     obj._T = function ( key, option ) {
       return Editor.T( key, option );
     };
@@ -341,6 +435,13 @@
     });
   });
 
+  ipcRenderer.on('profile:changed', (event, name, type, keys, data) => {
+    let profile = _key2profile[`${type}:${name}`];
+    if ( profile ) {
+      _updateProfile( profile, data );
+    }
+  });
+
   ipcRenderer.on('editor:query-ipc-events', (event, reply) => {
     let ipcInfos = [];
     for ( let p in ipcRenderer._events ) {
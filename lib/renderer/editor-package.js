@@ -5,6 +5,10 @@ let EditorPackage = {
     Editor.sendToCore('package:reload', name);
   },
 
+  retry ( name ) {
+    Editor.sendToCore('package:retry', name);
+  },
+
   queryInfos ( cb ) {
     Editor.sendRequestToCore('package:query-infos', cb);
   },
@@ -12,6 +16,18 @@ let EditorPackage = {
   queryInfo ( name, cb ) {
     Editor.sendRequestToCore('package:query-info', name, cb);
   },
+
+  queryContributions ( point, cb ) {
+    Editor.sendRequestToCore('package:query-contributions', point, cb);
+  },
+
+  enable ( name ) {
+    Editor.sendToCore('package:enable', name);
+  },
+
+  disable ( name ) {
+    Editor.sendToCore('package:disable', name);
+  },
 };
 
 module.exports = EditorPackage;
@@ -6,6 +6,11 @@ const Mousetrap = require('mousetrap');
 let _idToPagePanelInfo = {};
 // let _url2link = {};
 let _outOfDatePanels = [];
+let _reloadingPanels = {};
+let _reloadCount = 0;
+
+// NOTE: the states survive the page reload in the sessionStorage
+const _statesKey = 'editor-panel:states';
 
 function _getPanels ( panelEL ) {
   let panels = [];
@@ -94,6 +99,86 @@ function _registerShortcut ( panelID, mousetrap, frameEL, shortcut, methodName )
   }
 }
 
+function _loadStates () {
+  let json = window.sessionStorage.getItem(_statesKey);
+  return json ? JSON.parse(json) : {};
+}
+
+function _storeStates ( states ) {
+  if ( Object.keys(states).length === 0 ) {
+    window.sessionStorage.removeItem(_statesKey);
+  } else {
+    window.sessionStorage.setItem(_statesKey, JSON.stringify(states));
+  }
+}
+
+function _saveState ( panelID, frameEL ) {
+  let fn = frameEL['panel:dump-state'];
+  if ( typeof fn !== 'function' ) {
+    return;
+  }
+
+  try {
+    let states = _loadStates();
+    states[panelID] = fn.apply(frameEL);
+    _storeStates(states);
+  } catch ( err ) {
+    Editor.error( `Failed to dump the state of panel ${panelID}: ${err.stack}` );
+  }
+}
+
+function _removeState ( panelID ) {
+  let states = _loadStates();
+  delete states[panelID];
+  _storeStates(states);
+}
+
+function _restoreState ( panelID, frameEL ) {
+  let states = _loadStates();
+  if ( !states.hasOwnProperty(panelID) ) {
+    return;
+  }
+
+  let state = states[panelID];
+  delete states[panelID];
+  _storeStates(states);
+
+  let fn = frameEL['panel:restore-state'];
+  if ( typeof fn !== 'function' ) {
+    return;
+  }
+
+  try {
+    fn.apply(frameEL, [state]);
+  } catch ( err ) {
+    Editor.error( `Failed to restore the state of panel ${panelID}: ${err.stack}` );
+  }
+}
+
+function _replaceFrame ( frameEL, newFrameEL ) {
+  if ( EditorUI.DockUtils.root === frameEL ) {
+    EditorUI.DockUtils.root = newFrameEL;
+  }
+
+  let parentEL = Polymer.dom(frameEL).parentNode;
+  if ( !parentEL ) {
+    return;
+  }
+
+  newFrameEL.style.display = frameEL.style.display;
+  Polymer.dom(parentEL).insertBefore(newFrameEL, frameEL);
+  Polymer.dom(parentEL).removeChild(frameEL);
+
+  if ( EditorUI.isDockPanel(parentEL) ) {
+    let tabEL = parentEL.$.tabs.findTab(frameEL);
+    if ( tabEL ) {
+      tabEL.frameEL = newFrameEL;
+      tabEL.outOfDate = false;
+      tabEL.setIcon(newFrameEL.icon);
+    }
+  }
+}
+
 let EditorPanel = {
   load ( panelID, cb ) {
     Editor.sendRequestToCore('panel:query-info', panelID, ( panelInfo ) => {
@@ -109,6 +194,12 @@ let EditorPanel = {
       const Path = require('fire-path');
       let framePath = Path.join( panelInfo.path, panelInfo.frame );
 
+      // NOTE: the imported document is cached by its url, import it again for the reload
+      let reloading = _reloadingPanels[panelID];
+      if ( reloading ) {
+        framePath += `?reload=${reloading.count}`;
+      }
+
       EditorUI.import( framePath, ( err ) => {
         if ( err ) {
           Editor.error(`Failed to import ${framePath}. message: ${err.message}`);
@@ -229,6 +320,7 @@ let EditorPanel = {
         //
         _idToPagePanelInfo[panelID] = {
           frameEL: frameEL,
+          path: panelInfo.path,
           messages: panelInfo.messages,
           popable: panelInfo.popable,
           ipcListener: ipcListener,
@@ -241,6 +333,9 @@ let EditorPanel = {
           panelReady.apply(frameEL);
         }
 
+        // restore the state dumped before the reload
+        _restoreState(panelID, frameEL);
+
         // done
         if ( cb ) {
           cb ( null, frameEL, panelInfo );
@@ -398,6 +493,19 @@ let EditorPanel = {
     return pagePanelInfo.frameEL;
   },
 
+  findID ( path ) {
+    const Path = require('fire-path');
+
+    for ( let id in _idToPagePanelInfo ) {
+      let pagePanelInfo = _idToPagePanelInfo[id];
+      if ( Path.contains( pagePanelInfo.path, path ) ) {
+        return id;
+      }
+    }
+
+    return '';
+  },
+
   focus ( panelID ) {
     let frameEL = EditorPanel.find(panelID);
     let parentEL = Polymer.dom(frameEL).parentNode;
@@ -423,6 +531,155 @@ let EditorPanel = {
   //     }
   // },
 
+  /**
+   * Dump the states of the panels in this window which implement `panel:dump-state`
+   * @method dumpStates
+   * @return {object} The states keyed by panelID
+   */
+  dumpStates () {
+    let states = {};
+
+    for ( let id in _idToPagePanelInfo ) {
+      let frameEL = _idToPagePanelInfo[id].frameEL;
+      let fn = frameEL['panel:dump-state'];
+      if ( typeof fn !== 'function' ) {
+        continue;
+      }
+
+      try {
+        states[id] = fn.apply(frameEL);
+      } catch ( err ) {
+        Editor.error( `Failed to dump the state of panel ${id}: ${err.stack}` );
+      }
+    }
+
+    return states;
+  },
+
+  /**
+   * Save the states of the panels in this window, each panel will get its state back
+   * in `panel:restore-state` the next time it is loaded in this window
+   * @method saveStates
+   */
+  saveStates () {
+    window.sessionStorage.setItem(_statesKey, JSON.stringify(EditorPanel.dumpStates()));
+  },
+
+  /**
+   * Check if the panel implements `panel:dump-state`,
+   * so that reloading it will not lose its state
+   * @method canKeepState
+   * @param {string} panelID
+   * @return {boolean}
+   */
+  canKeepState ( panelID ) {
+    let frameEL = EditorPanel.find(panelID);
+    return !!frameEL && typeof frameEL['panel:dump-state'] === 'function';
+  },
+
+  /**
+   * Reload the panel in place, the other panels in the window are not touched.
+   * The panel implements `panel:dump-state` will get its state back in `panel:restore-state`.
+   * NOTE: the frame is imported again and registered with a new element name,
+   * since an element can not be registered twice
+   * @method reload
+   * @param {string} panelID
+   * @param {function} [cb]
+   */
+  reload ( panelID, cb ) {
+    let pagePanelInfo = _idToPagePanelInfo[panelID];
+    if ( !pagePanelInfo ) {
+      if ( cb ) {
+        cb ( new Error(`Panel ${panelID} not found`) );
+      }
+      return;
+    }
+
+    // NOTE: the panel may be out-of-date again during the reload, reload it once more after
+    let reloading = _reloadingPanels[panelID];
+    if ( reloading ) {
+      reloading.again = reloading.again || [];
+      if ( cb ) {
+        reloading.again.push(cb);
+      }
+      return;
+    }
+
+    reloading = _reloadingPanels[panelID] = {
+      count: ++_reloadCount,
+      again: null,
+    };
+
+    let frameEL = pagePanelInfo.frameEL;
+    let frameCtor = Editor.panels[panelID];
+
+    _saveState(panelID, frameEL);
+    delete Editor.panels[panelID];
+
+    EditorPanel.load(panelID, ( err, newFrameEL ) => {
+      delete _reloadingPanels[panelID];
+
+      if ( err ) {
+        // keep the old frame, it is still loaded
+        Editor.panels[panelID] = Editor.panels[panelID] || frameCtor;
+        _removeState(panelID);
+      } else {
+        pagePanelInfo.ipcListener.clear();
+        for ( let i = 0; i < pagePanelInfo.mousetrapList.length; ++i ) {
+          pagePanelInfo.mousetrapList[i].reset();
+        }
+
+        _replaceFrame(frameEL, newFrameEL);
+
+        let idx = _outOfDatePanels.indexOf(panelID);
+        if ( idx !== -1 ) {
+          _outOfDatePanels.splice(idx, 1);
+        }
+      }
+
+      let callbacks = reloading.again;
+      if ( callbacks ) {
+        EditorPanel.reload(panelID, ( err, newFrameEL ) => {
+          callbacks.forEach(fn => {
+            fn ( err, newFrameEL );
+          });
+        });
+      }
+
+      if ( cb ) {
+        cb ( err, newFrameEL );
+      }
+    });
+  },
+
+  /**
+   * Reload the out-of-date panel in place,
+   * ask the user first if the panel will lose its state
+   * @method confirmReload
+   * @param {string} panelID
+   * @return {boolean} If the panel is going to reload
+   */
+  confirmReload ( panelID ) {
+    if ( !EditorPanel.canKeepState(panelID) ) {
+      let result = Editor.Dialog.messageBox({
+        type: 'warning',
+        buttons: [Editor.T('MESSAGE.reload'), Editor.T('MESSAGE.cancel')],
+        title: Editor.T('MESSAGE.warning'),
+        message: Editor.T('MESSAGE.reload_panel'),
+        detail: Editor.T('MESSAGE.reload_panel_detail'),
+        cancelId: 1,
+        noLink: true,
+      });
+
+      if ( result !== 0 ) {
+        return false;
+      }
+    }
+
+    EditorPanel.reload(panelID);
+    return true;
+  },
+
   isDirty ( panelID ) {
     return _outOfDatePanels.indexOf(panelID) !== -1;
   },
@@ -452,6 +709,12 @@ ipcRenderer.on('panel:popup', ( event, panelID ) => {
   });
 });
 
+ipcRenderer.on('panel:reload', ( event, panelID ) => {
+  window.requestAnimationFrame(() => {
+    EditorPanel.confirmReload(panelID);
+  });
+});
+
 ipcRenderer.on('panel:undock', ( event, panelID ) => {
   window.requestAnimationFrame(() => {
     EditorPanel.undock(panelID);
@@ -470,4 +733,10 @@ ipcRenderer.on('panel:out-of-date', ( event, panelID ) => {
   if ( _outOfDatePanels.indexOf(panelID) === -1 ) {
     _outOfDatePanels.push(panelID);
   }
+
+  // reload right away when the panel can keep its state,
+  // otherwise wait for the user clicking the reload button of the out-of-date tab
+  if ( frameEL && EditorPanel.canKeepState(panelID) ) {
+    EditorPanel.reload(panelID);
+  }
 });
@@ -67,8 +67,8 @@
     // };
 
     window.onerror = function ( message, filename, lineno, colno, err ) {
-      if ( Editor && Editor.sendToWindows ) {
-        Editor.sendToWindows('console:error', err.stack || err);
+      if ( Editor && Editor._logUncaught ) {
+        Editor._logUncaught(err || message);
       } else {
         console.error(err.stack || err);
       }
@@ -275,6 +275,7 @@
       Editor.Menu.popup([
         { label: 'Maximize', message: 'panel:maximize', params: [panelID] },
         { label: 'Pop Out', message: 'panel:popup', enabled: popable, params: [panelID] },
+        { label: 'Reload', message: 'panel:reload', enabled: Editor.Panel.isDirty(panelID), params: [panelID] },
         { label: 'Close', command: 'Editor.Panel.close', params: [panelID] },
         { label: 'Add Tab', submenu: [
           { label: 'TODO' },
@@ -0,0 +1,253 @@
+'use strict';
+
+const Util = require('util');
+
+const _maxDepth = 5;
+
+// NOTE: the budget of one log record, the values over it are truncated so that
+//       the record is small enough to be sent through ipc and cached
+const _maxNodes = 500;
+const _maxBytes = 32 * 1024;
+
+function _isPlainObject ( value ) {
+  let proto = Object.getPrototypeOf(value);
+  return proto === null || proto === Object.prototype;
+}
+
+// describe the DOM nodes and the class instances instead of walking them
+function _describe ( value ) {
+  if ( typeof value.nodeType === 'number' && typeof value.nodeName === 'string' ) {
+    let id = value.id ? `#${value.id}` : '';
+    return `[${value.nodeName.toLowerCase()}${id}]`;
+  }
+
+  let ctor = value.constructor;
+  return `[Object ${ctor && ctor.name ? ctor.name : 'Object'}]`;
+}
+
+function _toJSONSafe ( value, depth, seen, budget ) {
+  if ( value === null || value === undefined ) {
+    return null;
+  }
+
+  let type = typeof value;
+
+  if ( type === 'number' ) {
+    budget.bytes += 8;
+    return isFinite(value) ? value : String(value);
+  }
+
+  if ( type === 'boolean' ) {
+    budget.bytes += 5;
+    return value;
+  }
+
+  if ( type === 'string' ) {
+    let remain = Math.max(_maxBytes - budget.bytes, 0);
+    budget.bytes += Math.min(value.length, remain);
+    return value.length > remain ? value.substring(0, remain) + '...' : value;
+  }
+
+  if ( type === 'function' ) {
+    return `[Function ${value.name || 'anonymous'}]`;
+  }
+
+  if ( type !== 'object' ) {
+    return String(value);
+  }
+
+  if ( value instanceof Error ) {
+    return {
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    };
+  }
+
+  if ( value instanceof Date ) {
+    return value.toISOString();
+  }
+
+  if ( !Array.isArray(value) && !_isPlainObject(value) ) {
+    return _describe(value);
+  }
+
+  if ( seen.indexOf(value) !== -1 ) {
+    return '[Circular]';
+  }
+
+  if ( depth >= _maxDepth ) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  seen.push(value);
+
+  let result;
+  let keys = Array.isArray(value) ? null : Object.keys(value);
+  let count = keys ? keys.length : value.length;
+  let truncated = 0;
+
+  result = keys ? {} : [];
+  for ( let i = 0; i < count; ++i ) {
+    if ( budget.nodes >= _maxNodes || budget.bytes >= _maxBytes ) {
+      truncated = count - i;
+      break;
+    }
+    ++budget.nodes;
+
+    if ( !keys ) {
+      result.push(_toJSONSafe( value[i], depth+1, seen, budget ));
+      continue;
+    }
+
+    let key = keys[i];
+    let prop;
+    try {
+      prop = value[key];
+    } catch ( err ) {
+      prop = `[Exception: ${err.message}]`;
+    }
+    budget.bytes += key.length;
+    result[key] = _toJSONSafe( prop, depth+1, seen, budget );
+  }
+
+  if ( truncated ) {
+    if ( keys ) {
+      result['...'] = `[${truncated} more]`;
+    } else {
+      result.push(`[${truncated} more]`);
+    }
+  }
+
+  seen.pop();
+  return result;
+}
+
+/**
+ * Utilities for creating and inspecting log records, shared by core-level and page-level
+ * @module LogUtils
+ */
+let LogUtils = {
+  /**
+   * Convert a value to the data which can be serialized by JSON and sent through ipc.
+   * Functions, errors, dates and circular references are converted to their descriptions.
+   * Only the own keys of plain objects and arrays are walked, the DOM nodes and the class
+   * instances are described by their names, and the values over the budget are truncated.
+   * @method toJSONSafe
+   * @param {*} value
+   * @param {object} [budget] - the nodes and bytes used, shared by the arguments of one record
+   * @return {*}
+   */
+  toJSONSafe ( value, budget ) {
+    return _toJSONSafe( value, 0, [], budget || { nodes: 0, bytes: 0 } );
+  },
+
+  /**
+   * Format the arguments as `Util.format` does
+   * @method format
+   * @param {array} args
+   * @return {string}
+   */
+  format ( args ) {
+    return Util.format.apply(Util, args);
+  },
+
+  /**
+   * Create a log record
+   * @method create
+   * @param {string} type - log type: log, success, failed, info, warn, error, fatal
+   * @param {string} message - the formatted message
+   * @param {array} args - the original arguments
+   * @param {object} [opts] - where the log come from
+   * @param {string} opts.process - 'core' or 'page'
+   * @param {string} opts.window - the name of the window
+   * @param {string} opts.package - the name of the package
+   * @param {string} opts.panel - the panelID
+   * @param {object[]} opts.frames - the stack frames parsed by {@link LogUtils.parseStack}
+   * @return {object}
+   */
+  create ( type, message, args, opts ) {
+    opts = opts || {};
+
+    return {
+      type: type,
+      message: message,
+      time: Date.now(),
+      process: opts.process || '',
+      window: opts.window || '',
+      package: opts.package || '',
+      panel: opts.panel || '',
+      args: LogUtils.toJSONSafe(args || []),
+      frames: opts.frames || [],
+    };
+  },
+
+  /**
+   * Return the stack of the first Error in the arguments
+   * @method errorStack
+   * @param {array} args
+   * @return {string}
+   */
+  errorStack ( args ) {
+    for ( let i = 0; i < args.length; ++i ) {
+      let arg = args[i];
+      if ( arg instanceof Error && arg.stack ) {
+        return arg.stack;
+      }
+    }
+
+    return '';
+  },
+
+  /**
+   * Parse the call stack to frames. The `file://` urls will be converted to paths,
+   * other urls such as `packages://` are kept in `file` and need to be resolved in core-level.
+   * @method parseStack
+   * @param {string} stack
+   * @return {object[]} Each frame contains:
+   *  - function: the function name, empty for anonymous function
+   *  - url: the original location in the stack
+   *  - file: the file path
+   *  - line: the line number, start from 1
+   *  - column: the column number, start from 1
+   */
+  parseStack ( stack ) {
+    let frames = [];
+    if ( !stack ) {
+      return frames;
+    }
+
+    let lines = stack.split('\n');
+    for ( let i = 0; i < lines.length; ++i ) {
+      // at foobar (/foo/bar.js:10:20)
+      // at /foo/bar.js:10:20
+      let matches = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/.exec(lines[i]);
+      if ( !matches ) {
+        continue;
+      }
+
+      let url = matches[2];
+      let file = url;
+      if ( file.indexOf('file://') === 0 ) {
+        file = decodeURIComponent(file.substring(7));
+
+        // file:///C:/foo/bar.js
+        if ( /^\/[a-zA-Z]:/.test(file) ) {
+          file = file.substring(1);
+        }
+      }
+
+      frames.push({
+        function: matches[1] || '',
+        url: url,
+        file: file,
+        line: parseInt(matches[3]),
+        column: parseInt(matches[4]),
+      });
+    }
+
+    return frames;
+  },
+};
+
+module.exports = LogUtils;
@@ -133,6 +133,31 @@ let TestHelper = {
     });
   },
 
+  /**
+   * use a tmp path for the profile type in the suite, so the tests will not touch the profiles of the user
+   * @param {string} type - the profile type, e.g. 'global', 'local'
+   */
+  useTmpProfile ( type ) {
+    const Fs = require('fire-fs');
+    const Path = require('fire-path');
+    const Os = require('os');
+
+    let path = Path.join(Os.tmpdir(), `editor-framework-test-${type}-profile`);
+    let savedPath;
+
+    before(function () {
+      Fs.removeSync(path);
+      Fs.ensureDirSync(path);
+      savedPath = Editor._type2profilepath[type];
+      Editor.registerProfilePath(type, path);
+    });
+
+    after(function () {
+      Editor.registerProfilePath(type, savedPath);
+      Fs.removeSync(path);
+    });
+  },
+
   reset () {
     [
       'sendToCore',
@@ -214,6 +239,35 @@ let TestHelper = {
     });
   },
 
+  /**
+   * write a package for the test, remove the search path in your after hook
+   * @param {string} searchPath - the folder contains the package
+   * @param {string} name - the folder name of the package
+   * @param {object} [manifest] - the fields of package.json, `name` defaults to the folder name and `version` to 1.0.0
+   * @param {object} [files] - the contents of the other files keyed by their relative paths
+   * @return {string} the package path
+   */
+  writePackage ( searchPath, name, manifest, files ) {
+    const Fs = require('fire-fs');
+    const Path = require('fire-path');
+
+    let path = Path.join(searchPath, name);
+    Fs.ensureDirSync(path);
+
+    for ( let file in files ) {
+      Fs.ensureDirSync(Path.dirname(Path.join(path, file)));
+      Fs.writeFileSync(Path.join(path, file), files[file]);
+    }
+
+    // NOTE: write package.json at last, so the package watcher sees a complete package
+    Fs.writeFileSync(Path.join(path, 'package.json'), JSON.stringify(Object.assign({
+      name: name,
+      version: '1.0.0',
+    }, manifest), null, 2));
+
+    return path;
+  },
+
   send (channel, ...args) {
     // insert a dummy event in it.
     args = [channel, {}, ...args];
@@ -40,6 +40,7 @@ module.exports = {
       'inspect': 'Inspect Element',
       'devtools': 'Developer Tools',
       'debug_core': 'Debug Main Process',
+      'export_log': 'Export Log',
       'ui_preview': 'UI Preview'
     },
     'help': {
@@ -67,5 +68,8 @@ module.exports = {
     'delete': 'Delete',
     'apply': 'Apply',
     'revert': 'Revert',
+    'reload': 'Reload',
+    'reload_panel': 'Reload the out-of-date panel?',
+    'reload_panel_detail': 'The panel does not support keeping its state, it will lose its unsaved changes.',
   }
 };
@@ -40,6 +40,7 @@ module.exports = {
       'inspect': '检视页面元素',
       'devtools': '开发者工具',
       'debug_core': '调试主进程',
+      'export_log': '导出日志',
       'ui_preview': 'UI 控件预览'
     },
     'help': {
@@ -65,6 +66,9 @@ module.exports = {
     'delete': '删除',
     'dont_save': '不要保存',
     'ok': '确定',
+    'reload': '重新加载',
+    'reload_panel': '重新加载过期的面板？',
+    'reload_panel_detail': '该面板不支持保存状态，将丢失未保存的修改。',
     'revert': '撤销',
     'save': '保存',
     'warning': '警告',
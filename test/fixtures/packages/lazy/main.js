@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  load () {
+    Editor.log('lazy main loaded');
+  },
+
+  unload () {
+  },
+
+  'lazy:say' ( event, text ) {
+    Editor.log(text);
+  },
+
+  'lazy:menu' () {
+    Editor.log('lazy menu');
+  },
+};
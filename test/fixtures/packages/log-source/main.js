@@ -0,0 +1,13 @@
+'use strict';
+
+module.exports = {
+  load () {
+  },
+
+  unload () {
+  },
+
+  'log-source:say' ( event, text ) {
+    Editor.log(text);
+  },
+};
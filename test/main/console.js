@@ -0,0 +1,209 @@
+'use strict';
+
+const Path = require('fire-path');
+const Sinon = require('sinon');
+
+describe('Editor.log', function () {
+  const testPackages = Editor.url('editor-framework://test/fixtures/packages/');
+
+  Helper.run({
+    'package-search-path': [
+      Editor.url('editor-framework://test/fixtures/packages/')
+    ],
+  });
+
+  beforeEach(function () {
+    Helper.reset();
+  });
+
+  it('should send the formatted message with a log record', function () {
+    Editor.log('foo %s', 'bar', { foobar: 1 });
+
+    let call = Helper.sendToWindows.lastCall;
+    expect(call.args[0]).to.eql('console:log');
+    expect(call.args[1]).to.eql('foo bar { foobar: 1 }');
+
+    let record = call.args[2];
+    expect(record.type).to.eql('log');
+    expect(record.message).to.eql('foo bar { foobar: 1 }');
+    expect(record.process).to.eql('core');
+    expect(record.time).to.be.a('number');
+    expect(record.args).to.eql(['foo %s', 'bar', { foobar: 1 }]);
+  });
+
+  it('should keep the arguments JSON safe', function () {
+    let obj = { name: 'foo' };
+    obj.self = obj;
+
+    Editor.warn(obj, function foobar () {}, new Error('bar'));
+
+    let record = Helper.sendToWindows.lastCall.args[2];
+    expect(record.args[0]).to.eql({ name: 'foo', self: '[Circular]' });
+    expect(record.args[1]).to.eql('[Function foobar]');
+    expect(record.args[2].message).to.eql('bar');
+    expect(JSON.parse(JSON.stringify(record.args))).to.eql(record.args);
+  });
+
+  it('should describe the class instances instead of walking them', function () {
+    class Foobar {
+      constructor () {
+        this.foo = 'foo';
+      }
+    }
+
+    Editor.log({ foobar: new Foobar() });
+
+    let record = Helper.sendToWindows.lastCall.args[2];
+    expect(record.args[0]).to.eql({ foobar: '[Object Foobar]' });
+  });
+
+  it('should keep the record small for the large arguments', function () {
+    // every level shares the same child, the values are walked again and again
+    let shared = 'foobar';
+    for ( let i = 0; i < 5; ++i ) {
+      let obj = {};
+      for ( let j = 0; j < 20; ++j ) {
+        obj[`key${j}`] = shared;
+      }
+      shared = obj;
+    }
+
+    Editor.log(shared, new Array(10000).join('x'));
+
+    let record = Helper.sendToWindows.lastCall.args[2];
+    expect(JSON.stringify(record.args).length).to.be.below(64 * 1024);
+    expect(JSON.stringify(record.args)).to.contain('more]');
+  });
+
+  it('should parse the stack frames of the error', function () {
+    Editor.error(new Error('foobar'));
+
+    let record = Helper.sendToWindows.lastCall.args[2];
+    expect(record.frames.length).to.be.above(0);
+    expect(record.frames[0].file).to.eql(__filename);
+    expect(record.frames[0].line).to.be.a('number');
+    expect(record.frames[0].column).to.be.a('number');
+  });
+
+  it('should show the stack of the error instead of the call stack', function () {
+    let err = new Error('foobar');
+    err.stack = [
+      'Error: foobar',
+      '    at foo (/foo/bar.js:10:20)',
+    ].join('\n');
+
+    Editor.error(err);
+
+    let message = Helper.sendToWindows.lastCall.args[1];
+    expect(message).to.eql(err.stack);
+  });
+
+  it('should resolve the urls in the stack frames', function (done) {
+    const path = Path.join(testPackages,'log-source');
+
+    Editor.Package.load(path, () => {
+      let err = new Error('foobar');
+      err.stack = [
+        'Error: foobar',
+        '    at foo (packages://log-source/main.js:10:20)',
+        '    at editor-framework://lib/main/index.js:1:2',
+      ].join('\n');
+
+      Helper.reset();
+      Editor.error(err);
+
+      let record = Helper.sendToWindows.lastCall.args[2];
+      expect(record.frames).to.eql([
+        {
+          function: 'foo',
+          url: 'packages://log-source/main.js',
+          file: Path.join(path, 'main.js'),
+          line: 10,
+          column: 20,
+        },
+        {
+          function: '',
+          url: 'editor-framework://lib/main/index.js',
+          file: Path.join(Editor.frameworkPath, 'lib/main/index.js'),
+          line: 1,
+          column: 2,
+        },
+      ]);
+
+      Editor.Package.unload(path, done);
+    });
+  });
+
+  it('should record the package it comes from', function (done) {
+    const path = Path.join(testPackages,'log-source');
+
+    Editor.Package.load(path, () => {
+      Helper.reset();
+      Helper.send('log-source:say', 'hello');
+
+      assert( Helper.sendToWindows.calledWith(
+        'console:log', 'hello', Sinon.match({ package: 'log-source' })
+      ));
+
+      Editor.Package.unload(path, done);
+    });
+  });
+
+  it('should give the package a logger named after it', function (done) {
+    const path = Path.join(testPackages,'log-source');
+
+    Editor.Package.load(path, () => {
+      let main = require(Path.join(path, 'main.js'));
+      expect(main.logger.name).to.eql('log-source');
+
+      Editor.Package.unload(path, done);
+    });
+  });
+});
+
+describe('Editor.logger', function () {
+  Helper.run({});
+  Helper.useTmpProfile('global');
+
+  beforeEach(function () {
+    Helper.reset();
+  });
+
+  afterEach(function () {
+    Editor.setLoggerLevel('foobar', null);
+  });
+
+  it('should log with the namespace as package', function () {
+    let logger = Editor.logger('foobar');
+    logger.normal('hello');
+    logger.info('world');
+
+    assert( Helper.sendToWindows.calledWith(
+      'console:log', 'hello', Sinon.match({ package: 'foobar' })
+    ));
+    assert( Helper.sendToWindows.calledWith(
+      'console:info', 'world', Sinon.match({ package: 'foobar' })
+    ));
+  });
+
+  it('should discard the logs below the level threshold', function () {
+    let logger = Editor.logger('foobar');
+    Editor.setLoggerLevel('foobar', 'warn');
+    expect(Editor.loggerLevel('foobar')).to.eql('warn');
+
+    Helper.reset();
+    logger.info('foo');
+    logger.warn('bar');
+
+    assert( Helper.sendToWindows.neverCalledWith('console:info', 'foo') );
+    assert( Helper.sendToWindows.calledWith('console:warn', 'bar') );
+  });
+
+  it('should change the level threshold through ipc', function () {
+    Helper.send('console:set-logger-level', 'foobar', 'error');
+    expect(Editor.loggerLevel('foobar')).to.eql('error');
+
+    Helper.send('console:set-logger-level', 'foobar', null);
+    expect(Editor.loggerLevel('foobar')).to.eql('normal');
+  });
+});
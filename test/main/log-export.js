@@ -0,0 +1,76 @@
+'use strict';
+
+const Fs = require('fire-fs');
+const Path = require('fire-path');
+const Os = require('os');
+
+describe('Editor.Log.export', function () {
+  const testPackages = Editor.url('editor-framework://test/fixtures/packages/');
+  const simplePath = Path.join(testPackages, 'simple');
+  const brokenPath = Path.join(testPackages, 'package-json-broken');
+  const jsonFile = Path.join(Os.tmpdir(), 'editor-framework-test-log.json');
+  const htmlFile = Path.join(Os.tmpdir(), 'editor-framework-test-log.html');
+
+  Helper.run({
+    'package-search-path': [ testPackages ],
+  });
+
+  before(function (done) {
+    Editor.Package.load(simplePath, done);
+  });
+
+  after(function (done) {
+    Editor.Package.unload(simplePath, done);
+  });
+
+  beforeEach(function () {
+    Editor.Log.clear();
+    Editor.Log.add({ type: 'log', message: 'foo', time: 100, package: '' });
+    Editor.Log.add({ type: 'error', message: '</script>bar', time: 200, package: '' });
+  });
+
+  afterEach(function () {
+    Editor.Log.clear();
+    Fs.removeSync(jsonFile);
+    Fs.removeSync(htmlFile);
+  });
+
+  it('should export the report to JSON', function () {
+    expect(Editor.Log.export(jsonFile)).to.eql(true);
+
+    let report = JSON.parse(Fs.readFileSync(jsonFile, 'utf8'));
+    expect(report.header.versions).to.eql(Editor.versions);
+    expect(report.header.packages.map(info => info.name)).to.include('simple');
+    expect(report.header.windows).to.be.an('array');
+    expect(report.records.map(record => record.message)).to.eql(['foo', '</script>bar']);
+  });
+
+  it('should only report the loaded packages when some package failed', function (done) {
+    Editor.Package.load(brokenPath, err => {
+      assert( err );
+      expect(Editor.Log.export(jsonFile)).to.eql(true);
+
+      let report = JSON.parse(Fs.readFileSync(jsonFile, 'utf8'));
+      let paths = report.header.packages.map(info => info.path);
+      expect(paths).to.include(simplePath);
+      expect(paths).to.not.include(brokenPath);
+      done();
+    });
+  });
+
+  it('should export the records matched the filter', function () {
+    Editor.Log.export(jsonFile, { filter: { types: 'error' } });
+
+    let report = JSON.parse(Fs.readFileSync(jsonFile, 'utf8'));
+    expect(report.records.map(record => record.message)).to.eql(['</script>bar']);
+  });
+
+  it('should export the report to a self-contained HTML', function () {
+    expect(Editor.Log.export(htmlFile)).to.eql(true);
+
+    let html = Fs.readFileSync(htmlFile, 'utf8');
+    expect(html).to.not.include('__LOG_REPORT_DATA__');
+    expect(html).to.not.include('</script>bar');
+    expect(html).to.include('\\u003c/script>bar');
+  });
+});
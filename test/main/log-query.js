@@ -0,0 +1,92 @@
+'use strict';
+
+describe('Editor.Log.query', function () {
+  let capacity;
+
+  function _add ( type, message, time, packageName ) {
+    Editor.Log.add({
+      type: type,
+      message: message,
+      time: time,
+      process: 'core',
+      window: '',
+      package: packageName || '',
+      panel: '',
+      args: [message],
+    });
+  }
+
+  beforeEach(function () {
+    capacity = Editor.Log.capacity;
+    Editor.Log.clear();
+
+    _add('log', 'hello foo', 100, 'foo');
+    _add('warn', 'Hello bar', 200, 'bar');
+    _add('error', 'foobar failed', 300, 'foo');
+    _add('log', 'world', 400);
+  });
+
+  afterEach(function () {
+    Editor.Log.capacity = capacity;
+    Editor.Log.clear();
+  });
+
+  it('should return all records without filter', function () {
+    let result = Editor.Log.query();
+    expect(result.total).to.eql(4);
+    expect(result.records.map(record => record.time)).to.eql([100, 200, 300, 400]);
+  });
+
+  it('should filter by types and packages', function () {
+    expect(Editor.Log.query({ types: 'log' }).total).to.eql(2);
+    expect(Editor.Log.query({ types: ['warn', 'error'] }).total).to.eql(2);
+    expect(Editor.Log.query({ packages: 'foo' }).total).to.eql(2);
+    expect(Editor.Log.query({ types: 'log', packages: 'foo' }).total).to.eql(1);
+  });
+
+  it('should filter by time range', function () {
+    let result = Editor.Log.query({ from: 200, to: 300 });
+    expect(result.records.map(record => record.time)).to.eql([200, 300]);
+  });
+
+  it('should filter by text and regex', function () {
+    expect(Editor.Log.query({ text: 'hello' }).total).to.eql(2);
+    expect(Editor.Log.query({ regex: '^foo' }).total).to.eql(1);
+    expect(Editor.Log.query({ regex: '^hello', flags: 'i' }).total).to.eql(2);
+    expect(Editor.Log.query({ regex: /d$/ }).total).to.eql(2);
+  });
+
+  it('should report the invalid regex instead of throwing', function () {
+    let result = Editor.Log.query({ regex: '(foo' });
+    expect(result.total).to.eql(0);
+    expect(result.records).to.eql([]);
+    expect(result.error).to.be.a('string');
+
+    assert( !Editor.Log.query({ regex: '^foo' }).error );
+  });
+
+  it('should reply the error of the invalid regex to console:query', function () {
+    const ipcMain = require('electron').ipcMain;
+    let reply = sinon.spy();
+
+    ipcMain.emit('console:query', {}, reply, { regex: '[' });
+    assert( reply.calledOnce );
+    expect(reply.firstCall.args[0]).to.eql([]);
+    expect(reply.firstCall.args[1]).to.eql(0);
+    expect(reply.firstCall.args[2]).to.be.a('string');
+  });
+
+  it('should return the page by offset and limit', function () {
+    let result = Editor.Log.query({ offset: 1, limit: 2 });
+    expect(result.total).to.eql(4);
+    expect(result.records.map(record => record.time)).to.eql([200, 300]);
+  });
+
+  it('should drop the oldest records when the capacity reached', function () {
+    Editor.Log.capacity = 3;
+    expect(Editor.Log.query().records.map(record => record.time)).to.eql([200, 300, 400]);
+
+    _add('log', 'newest', 500);
+    expect(Editor.Log.query().records.map(record => record.time)).to.eql([300, 400, 500]);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const Fs = require('fire-fs');
+const Path = require('fire-path');
+const Os = require('os');
+
+describe('Editor.Log', function () {
+  const logpath = Path.join(Os.tmpdir(), 'editor-framework-test-logs');
+  const appName = Editor.App.name;
+
+  function _writeLog ( name, text ) {
+    Fs.writeFileSync(Path.join(logpath, `${appName}-${name}`), text);
+  }
+
+  let maxSessions;
+
+  beforeEach(function () {
+    maxSessions = Editor.Log.maxSessions;
+    Fs.removeSync(logpath);
+    Fs.ensureDirSync(logpath);
+
+    _writeLog('2016-01-01-10-00-00-session.log', 'foo\n');
+    _writeLog('2016-01-01-10-00-00-session1.log', 'bar\n');
+    _writeLog('2016-01-02-10-00-00-session.log', 'hello\n');
+    _writeLog('2016-01-03-10-00-00-session.log', 'world\n');
+    Fs.writeFileSync(Path.join(logpath, 'foobar.log'), 'foobar');
+  });
+
+  afterEach(function () {
+    Editor.Log.maxSessions = maxSessions;
+    Fs.removeSync(logpath);
+  });
+
+  it('should list sessions from the newest', function () {
+    Editor.Log.maxSessions = 10;
+    Editor.Log.start(logpath);
+
+    let sessions = Editor.Log.sessions();
+    expect(sessions.map(session => session.name)).to.eql([
+      '2016-01-03-10-00-00',
+      '2016-01-02-10-00-00',
+      '2016-01-01-10-00-00',
+    ]);
+    expect(sessions[2].files.length).to.eql(2);
+    expect(sessions[2].size).to.eql(8);
+    expect(sessions[2].current).to.eql(false);
+  });
+
+  it('should remove the sessions out of maxSessions', function () {
+    Editor.Log.maxSessions = 2;
+    let file = Editor.Log.start(logpath);
+    Fs.writeFileSync(file, 'current\n');
+
+    let sessions = Editor.Log.sessions();
+    expect(sessions.length).to.eql(2);
+    expect(sessions[0].current).to.eql(true);
+    expect(sessions[1].name).to.eql('2016-01-03-10-00-00');
+    expect(Fs.existsSync(Path.join(logpath, 'foobar.log'))).to.eql(true);
+  });
+
+  it('should read the log files of a session in order', function () {
+    Editor.Log.maxSessions = 10;
+    Editor.Log.start(logpath);
+
+    expect(Editor.Log.read('2016-01-01-10-00-00')).to.eql('foo\nbar\n');
+    expect(Editor.Log.read('2000-01-01-10-00-00')).to.eql(null);
+  });
+});
@@ -4,6 +4,8 @@ const Fs = require('fire-fs');
 const Del = require('del');
 const Path = require('path');
 const Diff = require('diff');
+const Async = require('async');
+const Os = require('os');
 
 //
 describe('Editor.Package building test', function () {
@@ -97,5 +99,150 @@ describe('Editor.Package building test', function () {
         done();
       });
     });
+
+    it('should not build again when loading a prebuilt package', function (done) {
+      let pkgJsonPath = Path.join( path, 'package.json');
+      let pkgJson = JSON.parse(Fs.readFileSync(pkgJsonPath));
+      pkgJson.version = '0.0.3';
+      Fs.writeFileSync(pkgJsonPath, JSON.stringify(pkgJson, null, 2));
+
+      Editor.Package.prebuild(path, err => {
+        assert( !err );
+        expect( Editor.Package.build.calledOnce ).to.be.equal(true);
+
+        Editor.Package.load(path, () => {
+          expect( Editor.Package.build.calledOnce ).to.be.equal(true);
+          expect( Editor.Package.packageInfo(path)._destPath ).to.be.equal( Path.join(path,'bin/dev') );
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('prebuild', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-prebuild');
+    let buildError = null;
+    let building = 0;
+    let maxBuilding = 0;
+    let events = [];
+
+    Helper.run({});
+
+    function _writePackage ( name, opts ) {
+      Helper.writePackage(searchPath, name, Object.assign({ build: 'true' }, opts));
+    }
+
+    beforeEach(function () {
+      Helper.reset();
+      Fs.removeSync(searchPath);
+      buildError = null;
+      building = 0;
+      maxBuilding = 0;
+      events = [];
+
+      // the dependency takes the longest time to build
+      _writePackage('prebuild-app', { pkgDependencies: { 'prebuild-lib': '*' } });
+      _writePackage('prebuild-lib', { pkgDependencies: { 'prebuild-base': '*' } });
+      _writePackage('prebuild-base');
+      _writePackage('prebuild-other');
+
+      sinon.stub( Editor.Package, 'build', ( path, cb ) => {
+        let name = Path.basename(path);
+        ++building;
+        maxBuilding = Math.max(building, maxBuilding);
+        events.push(`start:${name}`);
+
+        let delay = name === 'prebuild-base' ? 100 : 50;
+        setTimeout(() => {
+          --building;
+          events.push(`end:${name}`);
+          cb ( buildError, path );
+        }, delay);
+      });
+
+      Editor.Package.addPath(searchPath);
+    });
+
+    afterEach(function (done) {
+      Editor.Package.build.restore();
+
+      Async.eachSeries(['prebuild-app', 'prebuild-lib', 'prebuild-base', 'prebuild-other'], ( name, next ) => {
+        Editor.Package.unload(Path.join(searchPath, name), next);
+      }, () => {
+        Editor.Package.removePath(searchPath);
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should build the dependencies first and the unrelated packages concurrently', function (done) {
+      Helper.spyChannels( 'sendToWindows', [
+        'package:loaded',
+      ]);
+      let packageLoaded = Helper.channel('sendToWindows','package:loaded');
+
+      Editor.loadPackagesAt(searchPath, () => {
+        expect( Editor.Package.build.callCount ).to.be.equal(4);
+
+        // the unrelated package is built with the chain
+        expect( maxBuilding ).to.be.equal(2);
+
+        // the chain is built one by one
+        expect( events.indexOf('end:prebuild-base') ).to.be.below( events.indexOf('start:prebuild-lib') );
+        expect( events.indexOf('end:prebuild-lib') ).to.be.below( events.indexOf('start:prebuild-app') );
+
+        let names = packageLoaded.args.map(args => args[1]).filter(name => name !== 'prebuild-other');
+        expect(names).to.eql(['prebuild-base', 'prebuild-lib', 'prebuild-app']);
+
+        done();
+      });
+    });
+
+    it('should count the prebuild time in the build phase', function (done) {
+      const path = Path.join(searchPath, 'prebuild-base');
+
+      Editor.Package.prebuild(path, () => {
+        Editor.Package.load(path, () => {
+          let timing = Editor.Package.timings().filter(timing => timing.path === path)[0];
+          expect( timing.phases.build ).to.be.at.least(90);
+          expect( timing.total ).to.be.at.least(timing.phases.build);
+
+          done();
+        });
+      });
+    });
+
+    it('should report the prebuild error without building again', function (done) {
+      const path = Path.join(searchPath, 'prebuild-base');
+      buildError = new Error('foobar');
+
+      Editor.Package.prebuild(path, err => {
+        expect(err.message).to.be.equal('foobar');
+
+        Editor.Package.load(path, err => {
+          expect(err.message).to.be.equal('Building failed: foobar');
+          expect( Editor.Package.build.calledOnce ).to.be.equal(true);
+          expect( Editor.Package.queryInfo('prebuild-base').error.phase ).to.be.equal('build');
+
+          done();
+        });
+      });
+    });
+
+    it('should not prebuild the package failed the manifest or hosts check', function (done) {
+      _writePackage('prebuild-broken', { panels: { panel: { frame: 10 } } });
+      _writePackage('prebuild-no-host', { hosts: { 'foobar': '1.0.0' } });
+
+      Async.series([
+        next => { Editor.Package.prebuild(Path.join(searchPath, 'prebuild-broken'), next); },
+        next => { Editor.Package.prebuild(Path.join(searchPath, 'prebuild-no-host'), next); },
+      ], err => {
+        assert( !err );
+        expect( Editor.Package.build.callCount ).to.be.equal(0);
+
+        done();
+      });
+    });
   });
 });
@@ -0,0 +1,120 @@
+'use strict';
+
+const Fs = require('fire-fs');
+const Path = require('fire-path');
+const Os = require('os');
+
+//
+describe('Editor.queuePackageReload', function () {
+  const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-reload-queue');
+  const path = Path.join(searchPath, 'reload-queue');
+  const mainPath = Path.join(path, 'main.js');
+  const panelPath = Path.join(path, 'panel/index.js');
+
+  Helper.run({});
+
+  function _writePackage ( build ) {
+    Helper.writePackage(searchPath, 'reload-queue', {
+      main: 'main.js',
+      build: build,
+      panels: {
+        panel: {
+          frame: 'panel/index.js',
+        },
+      },
+    }, {
+      'main.js': 'module.exports = {};',
+      'panel/index.js': '',
+    });
+  }
+
+  function _states () {
+    return Helper.sendToAll.args.filter(args => {
+      return args[0] === 'package:reload-status';
+    }).map(args => {
+      return args[1].state;
+    });
+  }
+
+  function _waitFor ( state, cb ) {
+    let id = setInterval(() => {
+      let status = Editor.packageReloadStatus('reload-queue');
+      if ( status && status.state === state ) {
+        clearInterval(id);
+        cb ( status );
+      }
+    }, 20);
+  }
+
+  beforeEach(function () {
+    Fs.removeSync(searchPath);
+    Helper.reset();
+
+    sinon.stub( Editor.Package, 'reload', ( path, opts, cb ) => {
+      cb ();
+    });
+  });
+
+  afterEach(function (done) {
+    Editor.Package.reload.restore();
+    if ( Editor.Package.build.restore ) {
+      Editor.Package.build.restore();
+    }
+
+    Editor.Package.unload(path, () => {
+      Fs.removeSync(searchPath);
+      done();
+    });
+  });
+
+  it('should merge the changes into one reload', function (done) {
+    _writePackage(false);
+
+    Editor.Package.load(path, () => {
+      Helper.reset();
+
+      Editor.queuePackageReload(mainPath);
+      Editor.queuePackageReload(panelPath);
+      Editor.queuePackageReload(mainPath);
+      expect(Editor.packageReloadStatus('reload-queue').actions).to.eql(['core', 'page']);
+
+      _waitFor('done', status => {
+        expect(Editor.Package.reload.callCount).to.eql(1);
+        assert( Helper.sendToWindows.calledWith('panel:out-of-date', 'reload-queue.panel') );
+        expect(_states()).to.eql(['queued', 'reloading', 'done']);
+        expect(status.actions).to.eql([]);
+        done();
+      });
+    });
+  });
+
+  it('should reload once for the changes during the build', function (done) {
+    _writePackage('true');
+
+    sinon.stub( Editor.Package, 'build', ( path, cb ) => {
+      setTimeout(() => {
+        cb ( null, path );
+      }, 100);
+    });
+
+    Editor.Package.load(path, () => {
+      Helper.reset();
+      Editor.Package.build.reset();
+
+      Editor.queuePackageReload(mainPath);
+      _waitFor('building', () => {
+        Editor.queuePackageReload(mainPath);
+        Editor.queuePackageReload(panelPath);
+
+        _waitFor('done', () => {
+          expect(Editor.Package.build.callCount).to.eql(2);
+          expect(Editor.Package.reload.callCount).to.eql(1);
+          expect(_states()).to.eql([
+            'queued', 'building', 'cancelled', 'queued', 'building', 'reloading', 'done'
+          ]);
+          done();
+        });
+      });
+    });
+  });
+});
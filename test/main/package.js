@@ -3,6 +3,7 @@
 const Fs = require('fire-fs');
 const Path = require('fire-path');
 const Async = require('async');
+const Os = require('os');
 
 //
 describe('Editor.Package', function () {
@@ -115,6 +116,186 @@ describe('Editor.Package', function () {
     });
   });
 
+  describe('fixtures/packages/manifest-broken', function () {
+    const path = Path.join(testPackages,'manifest-broken');
+
+    afterEach(function (done) {
+      Editor.Package.unload(path, done);
+    });
+
+    it('should refuse the package with all problems in package.json', function (done) {
+      Editor.Package.load(path, err => {
+        expect(err.problems).to.eql([
+          { path: 'panels.panel.width', message: 'expect number or "auto" but got "wide"' },
+          { path: 'panels.panel.shortcuts["command+k"]', message: 'expect string but got number' },
+        ]);
+        expect(err.message).to.eql([
+          'Invalid package.json of manifest-broken:',
+          '  panels.panel.width: expect number or "auto" but got "wide"',
+          '  panels.panel.shortcuts["command+k"]: expect string but got number',
+        ].join('\n'));
+
+        expect(Editor.Package.packagePath('manifest-broken')).to.eql(undefined);
+        expect(Editor.Package.panelInfo('manifest-broken.panel')).to.eql(undefined);
+        done();
+      });
+    });
+  });
+
+  describe('package.json with warnings', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-warnings');
+    const path = Path.join(searchPath, 'no-version');
+    const appPath = Path.join(searchPath, 'no-version-app');
+
+    beforeEach(function () {
+      Helper.reset();
+      Fs.removeSync(searchPath);
+      Helper.writePackage(searchPath, 'no-version', {
+        version: undefined,
+        menus: {
+          'Top': { message: 'no-version:open' },
+        },
+      });
+      Helper.writePackage(searchPath, 'no-version-app', {
+        version: '0.0.1',
+        pkgDependencies: { 'no-version': '*' },
+      });
+      Editor.Package.addPath(searchPath);
+    });
+
+    afterEach(function (done) {
+      Editor.Package.removePath(searchPath);
+      Async.series([
+        next => { Editor.Package.unload(appPath, next); },
+        next => { Editor.Package.unload(path, next); },
+      ], () => {
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should load the package without the version and warn the top level menu', function (done) {
+      Editor.Package.load(path, err => {
+        assert( !err );
+        expect(Editor.Package.packagePath('no-version')).to.eql(path);
+
+        let warning = Helper.sendToWindows.withArgs('console:warn').lastCall.args[1];
+        expect(warning).to.not.contain('  version:');
+        expect(warning).to.contain('menus.Top: the menu path must contain a parent menu');
+        done();
+      });
+    });
+
+    it('should require the version when the package is a dependency', function (done) {
+      Editor.Package.load(appPath, err => {
+        expect(err.message).to.contain('Dependency no-version required by no-version-app has no valid version');
+        expect(Editor.Package.packagePath('no-version-app')).to.eql(undefined);
+        done();
+      });
+    });
+  });
+
+  describe('fixtures/packages/reload-rules', function () {
+    const path = Path.join(testPackages,'reload-rules');
+
+    before(function (done) {
+      Editor.Package.load(path, done);
+    });
+
+    after(function (done) {
+      Editor.Package.unload(path, done);
+    });
+
+    it('should map the changed file to the action in reload rules', function () {
+      expect(Editor.Package.reloadAction(Path.join(path, 'src/ui/view.js'))).to.eql('page');
+      expect(Editor.Package.reloadAction(Path.join(path, 'src/test/view.js'))).to.eql('test');
+      expect(Editor.Package.reloadAction(Path.join(path, 'docs/readme.md'))).to.eql('ignore');
+    });
+
+    it('should fallback to the default layout', function () {
+      expect(Editor.Package.reloadAction(Path.join(path, 'test/foo.js'))).to.eql('test');
+      expect(Editor.Package.reloadAction(Path.join(path, 'panel/panel.html'))).to.eql('page');
+      expect(Editor.Package.reloadAction(Path.join(path, 'src/core.js'))).to.eql('core');
+      expect(Editor.Package.reloadAction(Path.join(path, 'main.js'))).to.eql('core');
+    });
+
+    it('should return null for the file not in a loaded package', function () {
+      expect(Editor.Package.reloadAction(Path.join(testPackages, 'simple/main.js'))).to.eql(null);
+    });
+  });
+
+  describe('failed packages', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-failures');
+    const path = Path.join(searchPath, 'failure');
+
+    beforeEach(function () {
+      Fs.removeSync(searchPath);
+      Helper.writePackage(searchPath, 'failure', {
+        version: '0.0.1',
+        main: 'main.js',
+      }, {
+        'main.js': 'module.exports = { load () { throw new Error("foobar"); } };',
+      });
+    });
+
+    afterEach(function (done) {
+      Editor.Package.unload(path, () => {
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should record the phase of the failure', function (done) {
+      Async.series([
+        next => { Editor.Package.load(Path.join(testPackages,'package-json-broken'), () => { next(); }); },
+        next => { Editor.Package.load(Path.join(testPackages,'host-not-exists'), () => { next(); }); },
+        next => { Editor.Package.load(path, () => { next(); }); },
+      ], () => {
+        let failures = Editor.Package.failures();
+        let name2phase = {};
+        failures.forEach(failure => {
+          name2phase[failure.name] = failure.phase;
+        });
+
+        expect(name2phase['package-json-broken']).to.eql('json');
+        expect(name2phase['host-not-exists']).to.eql('hosts');
+        expect(name2phase.failure).to.eql('main');
+        done();
+      });
+    });
+
+    it('should report the failed package with status', function (done) {
+      Editor.Package.load(path, () => {
+        let result = Editor.Package.queryInfo('failure');
+        expect(result.status).to.eql('failed');
+        expect(result.path).to.eql(path);
+        expect(result.info.name).to.eql('failure');
+        expect(result.error.phase).to.eql('main');
+        expect(result.error.message).to.contain('foobar');
+        expect(result.error.stack).to.be.a('string');
+        expect(result.error.time).to.be.a('number');
+
+        let results = Editor.Package.queryInfos().filter(result => result.info && result.info.name === 'failure');
+        expect(results.length).to.eql(1);
+
+        done();
+      });
+    });
+
+    it('should load the failed package again when retry', function (done) {
+      Editor.Package.load(path, () => {
+        Fs.writeFileSync(Path.join(path, 'main.js'), 'module.exports = {};');
+
+        Editor.Package.retry('failure', err => {
+          assert( !err );
+          expect(Editor.Package.queryInfo('failure').status).to.eql('loaded');
+          expect(Editor.Package.failures().map(failure => failure.name)).to.not.include('failure');
+          done();
+        });
+      });
+    });
+  });
+
   describe('fixtures/packages/localize', function () {
     const path = Path.join(testPackages,'localize');
 
@@ -217,6 +398,872 @@ describe('Editor.Package', function () {
     });
   });
 
+  describe('fixtures/packages/lazy', function () {
+    const path = Path.join(testPackages,'lazy');
+    const ipcMain = require('electron').ipcMain;
+
+    beforeEach(function (done) {
+      Helper.reset();
+      Editor.Package.load(path, done);
+    });
+
+    afterEach(function (done) {
+      Editor.Package.unload(path, done);
+    });
+
+    function _activated () {
+      return Helper.sendToWindows.calledWith('package:activated', 'lazy');
+    }
+
+    it('should not load main.js until activated', function () {
+      expect(Editor.Package.panelInfo('lazy.panel')).to.be.an('object');
+      assert( !_activated() );
+      assert( Helper.sendToWindows.neverCalledWith('console:log', 'lazy main loaded') );
+    });
+
+    it('should activate by the message and replay it', function () {
+      ipcMain.emit('lazy:say', {}, 'hello lazy');
+
+      assert( _activated() );
+      assert( Helper.sendToWindows.calledWith('console:log', 'lazy main loaded') );
+      assert( Helper.sendToWindows.calledWith('console:log', 'hello lazy') );
+
+      // the message should not be replayed again
+      Helper.reset();
+      ipcMain.emit('lazy:say', {}, 'hello again');
+      expect(Helper.sendToWindows.withArgs('console:log', 'hello again').callCount).to.eql(1);
+    });
+
+    it('should activate by the menu message', function () {
+      ipcMain.emit('lazy:menu', {});
+
+      assert( _activated() );
+      assert( Helper.sendToWindows.calledWith('console:log', 'lazy menu') );
+    });
+
+    it('should activate by the panel', function () {
+      expect(Editor.Package.activatePanel('lazy.foobar')).to.eql(false);
+      assert( !_activated() );
+
+      expect(Editor.Package.activatePanel('lazy.panel')).to.eql(true);
+      assert( _activated() );
+    });
+  });
+
+  describe('lazy package with broken main.js', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-lazy-broken');
+    const path = Path.join(searchPath, 'lazy-broken');
+    const ipcMain = require('electron').ipcMain;
+
+    beforeEach(function (done) {
+      Helper.reset();
+      Fs.removeSync(searchPath);
+      Helper.writePackage(searchPath, 'lazy-broken', {
+        version: '0.0.1',
+        main: 'main.js',
+        activation: {
+          messages: ['lazy-broken:say'],
+        },
+      }, {
+        'main.js': 'throw new Error("foobar");',
+      });
+      Editor.Package.load(path, done);
+    });
+
+    afterEach(function (done) {
+      Editor.Package.unload(path, () => {
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should record the failure and keep the activation triggers', function () {
+      ipcMain.emit('lazy-broken:say', {}, 'hello');
+
+      assert( Helper.sendToWindows.neverCalledWith('package:activated', 'lazy-broken') );
+      let result = Editor.Package.queryInfo('lazy-broken');
+      expect(result.status).to.eql('failed');
+      expect(result.error.phase).to.eql('main');
+      expect(result.error.message).to.contain('foobar');
+      expect(Editor.Package.failures().map(failure => failure.name)).to.include('lazy-broken');
+
+      Fs.writeFileSync(Path.join(path, 'main.js'), 'module.exports = { "lazy-broken:say" ( event, text ) { Editor.log(text); } };');
+      ipcMain.emit('lazy-broken:say', {}, 'hello again');
+
+      assert( Helper.sendToWindows.calledWith('package:activated', 'lazy-broken') );
+      assert( Helper.sendToWindows.calledWith('console:log', 'hello again') );
+      expect(Editor.Package.queryInfo('lazy-broken').status).to.eql('loaded');
+      expect(Editor.Package.failures().map(failure => failure.name)).to.not.include('lazy-broken');
+    });
+
+    it('should activate the package again when retry', function (done) {
+      ipcMain.emit('lazy-broken:say', {}, 'hello');
+      Fs.writeFileSync(Path.join(path, 'main.js'), 'module.exports = {};');
+
+      Editor.Package.retry('lazy-broken', err => {
+        assert( !err );
+        assert( Helper.sendToWindows.calledWith('package:activated', 'lazy-broken') );
+        expect(Editor.Package.queryInfo('lazy-broken').status).to.eql('loaded');
+        done();
+      });
+    });
+  });
+
+  describe('fixtures/packages/ext-host and ext-plugin', function () {
+    const hostPath = Path.join(testPackages,'ext-host');
+    const pluginPath = Path.join(testPackages,'ext-plugin');
+
+    beforeEach(function (done) {
+      Helper.reset();
+      Async.series([
+        next => { Editor.Package.load(hostPath, next); },
+        next => { Editor.Package.load(pluginPath, next); },
+      ], done);
+    });
+
+    afterEach(function (done) {
+      Async.series([
+        next => { Editor.Package.unload(pluginPath, next); },
+        next => { Editor.Package.unload(hostPath, next); },
+      ], done);
+    });
+
+    it('should register the extension point', function () {
+      expect(Editor.Package.extensionPoint('ext-host.importers')).to.eql({
+        package: 'ext-host',
+        description: 'Import the files by extname',
+      });
+      expect(Editor.Package.extensionPoint('ext-host.foobar')).to.eql(null);
+    });
+
+    it('should collect the contributions', function () {
+      let contributions = [
+        { package: 'ext-plugin', path: pluginPath, value: { extname: '.foo' } },
+        { package: 'ext-plugin', path: pluginPath, value: { extname: '.bar' } },
+      ];
+
+      expect(Editor.Package.contributions('ext-host.importers')).to.eql(contributions);
+      assert( Helper.sendToAll.calledWith(
+        'package:contributions-changed', 'ext-host.importers', contributions
+      ));
+    });
+
+    it('should update the contributions when the contributor unloaded', function (done) {
+      Editor.Package.unload(pluginPath, () => {
+        expect(Editor.Package.contributions('ext-host.importers')).to.eql([]);
+        assert( Helper.sendToAll.calledWith(
+          'package:contributions-changed', 'ext-host.importers', []
+        ));
+        done();
+      });
+    });
+
+    describe('contribute to the undeclared extension points', function () {
+      const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-contributions');
+      let badPath;
+
+      function _warnings () {
+        return Helper.sendToWindows.args.filter(args => {
+          return args[0] === 'console:warn' && args[1].indexOf('contributes to') !== -1;
+        }).map(args => args[1]);
+      }
+
+      beforeEach(function () {
+        Fs.removeSync(searchPath);
+        badPath = Helper.writePackage(searchPath, 'ext-bad', {
+          contributes: {
+            'ext-host.importers': { extname: '.baz' },
+            'ext-host.foobar': { extname: '.baz' },
+          },
+        });
+      });
+
+      afterEach(function (done) {
+        Editor.Package.unload(badPath, () => {
+          Fs.removeSync(searchPath);
+          done();
+        });
+      });
+
+      it('should not warn the declared extension points', function () {
+        expect(_warnings()).to.eql([]);
+      });
+
+      it('should warn when the contributor loaded', function (done) {
+        Editor.Package.load(badPath, () => {
+          expect(_warnings()).to.eql([
+            'ext-bad contributes to ext-host.foobar, which is not declared in extensionPoints of ext-host',
+          ]);
+          done();
+        });
+      });
+
+      it('should warn when the package of the extension point loaded later', function (done) {
+        Async.series([
+          next => { Editor.Package.unload(hostPath, next); },
+          next => { Editor.Package.load(badPath, next); },
+          next => {
+            expect(_warnings()).to.eql([]);
+            Editor.Package.load(hostPath, next);
+          },
+        ], () => {
+          expect(_warnings()).to.eql([
+            'ext-bad contributes to ext-host.foobar, which is not declared in extensionPoints of ext-host',
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('cascade unload and reload', function () {
+    const path1 = Path.join(testPackages,'package-deps');
+    const path2 = Path.join(testPackages,'dep-01');
+    const path3 = Path.join(testPackages,'dep-02');
+
+    beforeEach(function (done) {
+      Editor.Package.addPath(testPackages);
+      Editor.Package.load(path1, () => {
+        Helper.reset();
+        Helper.spyChannels( 'sendToWindows', [
+          'package:loaded',
+          'package:unloaded',
+        ]);
+        done();
+      });
+    });
+
+    afterEach(function (done) {
+      Async.series([
+        next => { Editor.Package.unload(path1, next); },
+        next => { Editor.Package.unload(path2, next); },
+        next => { Editor.Package.unload(path3, next); },
+      ], done);
+    });
+
+    function _names ( channel ) {
+      let spy = Helper.channel('sendToWindows', channel);
+      return spy.args.map(args => args[1]);
+    }
+
+    it('should list the dependents in unload order', function () {
+      expect(Editor.Package.dependents('dep-02')).to.eql(['package-deps', 'dep-01']);
+      expect(Editor.Package.dependents('package-deps')).to.eql([]);
+    });
+
+    it('should unload the dependents first', function (done) {
+      Editor.Package.unload(path3, () => {
+        expect(_names('package:unloaded')).to.eql(['package-deps', 'dep-01', 'dep-02']);
+        done();
+      });
+    });
+
+    it('should only unload the package when force', function (done) {
+      Editor.Package.unload(path3, { force: true }, () => {
+        expect(_names('package:unloaded')).to.eql(['dep-02']);
+        expect(Editor.Package.packagePath('package-deps')).to.eql(path1);
+        done();
+      });
+    });
+
+    it('should reload the dependents after the package', function (done) {
+      Editor.Package.reload(path3, { rebuild: false }, () => {
+        expect(_names('package:unloaded')).to.eql(['package-deps', 'dep-01', 'dep-02']);
+        expect(_names('package:loaded')).to.eql(['dep-02', 'dep-01', 'package-deps']);
+        done();
+      });
+    });
+  });
+
+  describe('reload a package failed to load', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-reload');
+    const basePath = Path.join(searchPath, 'reload-base');
+    const appPath = Path.join(searchPath, 'reload-app');
+
+    beforeEach(function (done) {
+      Fs.removeSync(searchPath);
+      Helper.writePackage(searchPath, 'reload-base', {
+        main: 'main.js',
+      }, {
+        'main.js': 'module.exports = {};',
+      });
+      Helper.writePackage(searchPath, 'reload-app', {
+        main: 'main.js',
+        pkgDependencies: { 'reload-base': '*' },
+      }, {
+        'main.js': 'module.exports = {};',
+      });
+
+      Editor.Package.addPath(searchPath);
+      Editor.Package.load(appPath, done);
+    });
+
+    afterEach(function (done) {
+      Async.series([
+        next => { Editor.Package.unload(appPath, next); },
+        next => { Editor.Package.unload(basePath, next); },
+      ], () => {
+        Editor.Package.removePath(searchPath);
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should still try to reload the dependents and record their failures', function (done) {
+      Fs.writeFileSync(Path.join(basePath, 'main.js'), 'throw new Error(\'typo\');');
+
+      Editor.Package.reload(basePath, { rebuild: false }, err => {
+        assert( err );
+
+        let result = Editor.Package.queryInfo('reload-app');
+        expect(result.status).to.eql('failed');
+        expect(result.error.phase).to.eql('deps');
+
+        let names = Editor.Package.failures().map(failure => failure.name);
+        expect(names).to.include('reload-base');
+        expect(names).to.include('reload-app');
+
+        // the dependent comes back once the package is fixed
+        Fs.writeFileSync(Path.join(basePath, 'main.js'), 'module.exports = {};');
+        Editor.Package.retry('reload-app', err => {
+          assert( !err );
+          expect(Editor.Package.packagePath('reload-app')).to.eql(appPath);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('pkgDependencies version ranges', function () {
+    const searchPath1 = Path.join(Os.tmpdir(), 'editor-framework-test-deps-01');
+    const searchPath2 = Path.join(Os.tmpdir(), 'editor-framework-test-deps-02');
+
+    beforeEach(function () {
+      Fs.removeSync(searchPath1);
+      Fs.removeSync(searchPath2);
+
+      Helper.writePackage(searchPath1, 'dep-lib', { version: '1.2.0' });
+      Helper.writePackage(searchPath2, 'dep-lib', { version: '1.5.0' });
+      Helper.writePackage(searchPath2, 'dep-app', { pkgDependencies: { 'dep-lib': '^1.0.0' } });
+      Helper.writePackage(searchPath2, 'dep-old', { pkgDependencies: { 'dep-lib': '~1.2.0' } });
+      Helper.writePackage(searchPath2, 'dep-new', { pkgDependencies: { 'dep-lib': '^2.0.0' } });
+      Helper.writePackage(searchPath2, 'dep-chain', { pkgDependencies: { 'dep-new': '*' } });
+      Helper.writePackage(searchPath2, 'dep-missing', { pkgDependencies: { 'dep-foobar': '*' } });
+
+      Editor.Package.addPath([searchPath1, searchPath2]);
+    });
+
+    afterEach(function (done) {
+      Async.eachSeries([
+        'dep-app', 'dep-old', 'dep-new', 'dep-chain', 'dep-missing', 'dep-lib'
+      ], (name, next) => {
+        let path = Editor.Package.packagePath(name);
+        if ( !path ) {
+          next();
+          return;
+        }
+        Editor.Package.unload(path, next);
+      }, () => {
+        Editor.Package.removePath(searchPath1);
+        Editor.Package.removePath(searchPath2);
+        Fs.removeSync(searchPath1);
+        Fs.removeSync(searchPath2);
+        done();
+      });
+    });
+
+    it('should pick the highest version satisfies the range', function (done) {
+      Editor.Package.load(Path.join(searchPath2, 'dep-app'), err => {
+        assert( !err );
+        expect(Editor.Package.packagePath('dep-lib')).to.eql(Path.join(searchPath2, 'dep-lib'));
+        done();
+      });
+    });
+
+    it('should pick the lower version if the higher one mismatched', function (done) {
+      Editor.Package.load(Path.join(searchPath2, 'dep-old'), err => {
+        assert( !err );
+        expect(Editor.Package.packagePath('dep-lib')).to.eql(Path.join(searchPath1, 'dep-lib'));
+        done();
+      });
+    });
+
+    it('should report the dependency chain when mismatched', function (done) {
+      Editor.Package.load(Path.join(searchPath2, 'dep-chain'), err => {
+        expect(err.message).to.eql(
+          'Dependency dep-lib@^2.0.0 required by dep-chain > dep-new mismatched, found version 1.5.0, 1.2.0'
+        );
+        expect(Editor.Package.packagePath('dep-chain')).to.eql(undefined);
+        done();
+      });
+    });
+
+    it('should report the dependency not found', function (done) {
+      Editor.Package.load(Path.join(searchPath2, 'dep-missing'), err => {
+        expect(err.message).to.eql('Dependency dep-foobar@* required by dep-missing not found');
+        done();
+      });
+    });
+
+    it('should check the version of the loaded dependency', function (done) {
+      Async.series([
+        next => { Editor.Package.load(Path.join(searchPath2, 'dep-app'), next); },
+        next => { Editor.Package.load(Path.join(searchPath2, 'dep-old'), next); },
+      ], err => {
+        expect(err.message).to.eql(
+          'Dependency dep-lib@~1.2.0 required by dep-old mismatched, version 1.5.0 is loaded'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('load plan', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-plan');
+
+    beforeEach(function () {
+      Helper.reset();
+      Fs.removeSync(searchPath);
+
+      Helper.writePackage(searchPath, 'plan-app', { pkgDependencies: { 'plan-lib': '*' } });
+      Helper.writePackage(searchPath, 'plan-lib', { pkgDependencies: { 'plan-base': '*' } });
+      Helper.writePackage(searchPath, 'plan-base');
+      Helper.writePackage(searchPath, 'cycle-a', { pkgDependencies: { 'cycle-b': '*' } });
+      Helper.writePackage(searchPath, 'cycle-b', { pkgDependencies: { 'cycle-c': '*' } });
+      Helper.writePackage(searchPath, 'cycle-c', { pkgDependencies: { 'cycle-a': '*' } });
+
+      Editor.Package.addPath(searchPath);
+    });
+
+    afterEach(function (done) {
+      Async.eachSeries(Editor.Package.queryInfos(), (result, next) => {
+        if ( !Path.contains(searchPath, result.path) ) {
+          next();
+          return;
+        }
+        Editor.Package.unload(result.path, next);
+      }, () => {
+        Editor.Package.removePath(searchPath);
+        Fs.removeSync(searchPath);
+        done();
+      });
+    });
+
+    it('should plan the dependencies first and report the cycles', function () {
+      let plan = Editor.Package.plan([
+        'plan-app', 'cycle-a', 'plan-lib', 'cycle-b', 'plan-base', 'cycle-c'
+      ].map(name => Path.join(searchPath, name)));
+
+      expect(plan.order.map(item => item.name)).to.eql(['plan-base', 'plan-lib', 'plan-app']);
+      expect(plan.cycles).to.eql([['cycle-a', 'cycle-b', 'cycle-c', 'cycle-a']]);
+    });
+
+    it('should plan the highest version of the same package and report the shadowed ones', function () {
+      const searchPath2 = Path.join(Os.tmpdir(), 'editor-framework-test-plan-2');
+      Fs.removeSync(searchPath2);
+      Helper.writePackage(searchPath2, 'plan-base', { version: '2.0.0' });
+
+      let paths = [
+        Path.join(searchPath, 'plan-lib'),
+        Path.join(searchPath, 'plan-base'),
+        Path.join(searchPath2, 'plan-base'),
+      ];
+      let plan = Editor.Package.plan(paths);
+      Fs.removeSync(searchPath2);
+
+      expect(plan.order).to.eql([
+        { name: 'plan-base', path: paths[2], deps: [] },
+        { name: 'plan-lib', path: paths[0], deps: ['plan-base'] },
+      ]);
+      expect(plan.shadowed).to.eql([
+        { name: 'plan-base', path: paths[1], by: paths[2] },
+      ]);
+    });
+
+    it('should only reply the saved plan to package:query-load-plan', function () {
+      const ipcMain = require('electron').ipcMain;
+      let reply = sinon.spy();
+
+      let plan = Editor.Package.plan([Path.join(searchPath, 'plan-app')], { save: true });
+      Editor.Package.plan([Path.join(searchPath, 'plan-base')]);
+
+      ipcMain.emit('package:query-load-plan', {}, reply);
+      expect(reply.firstCall.args[0]).to.eql(plan);
+    });
+
+    it('should report the cycle when loading a package in the cycle', function (done) {
+      Editor.Package.load(Path.join(searchPath, 'cycle-a'), err => {
+        expect(err.message).to.eql('Dependency cycle detected: cycle-a > cycle-b > cycle-c > cycle-a');
+        done();
+      });
+    });
+
+    it('should load the packages in the planned order', function (done) {
+      Helper.spyChannels( 'sendToWindows', [
+        'package:loaded',
+      ]);
+      let packageLoaded = Helper.channel('sendToWindows','package:loaded');
+
+      Editor.loadPackagesAt(searchPath, () => {
+        expect(packageLoaded.args.map(args => args[1])).to.eql(['plan-base', 'plan-lib', 'plan-app']);
+        expect(Editor.Package.packagePath('cycle-a')).to.eql(undefined);
+        done();
+      });
+    });
+  });
+
+  describe('enable and disable', function () {
+    const path = Path.join(testPackages,'simple');
+    const renamedPath = Path.join(testPackages,'renamed-folder');
+
+    Helper.useTmpProfile('local');
+
+    before(function () {
+      Editor.Package.addPath(testPackages);
+    });
+
+    afterEach(function (done) {
+      Async.series([
+        next => { Editor.Package.enable('simple', next); },
+        next => { Editor.Package.unload(path, next); },
+        next => { Editor.Package.enable('dep-02', next); },
+        next => { Editor.Package.unload(Path.join(testPackages,'package-deps'), next); },
+        next => { Editor.Package.unload(Path.join(testPackages,'dep-01'), next); },
+        next => { Editor.Package.unload(Path.join(testPackages,'dep-02'), next); },
+        next => { Editor.Package.enable('renamed', next); },
+        next => { Editor.Package.unload(renamedPath, next); },
+      ], done);
+    });
+
+    it('should unload the package when disabled', function (done) {
+      Async.series([
+        next => { Editor.Package.load(path, next); },
+        next => { Editor.Package.disable('simple', next); },
+      ], () => {
+        expect(Editor.Package.isEnabled('simple')).to.eql(false);
+        expect(Editor.Package.packagePath('simple')).to.eql(undefined);
+
+        let result = Editor.Package.queryInfo('simple');
+        expect(result.enabled).to.eql(false);
+        expect(result.path).to.eql(path);
+        expect(result.info.name).to.eql('simple');
+
+        let names = Editor.Package.queryInfos().map(result => result.info.name);
+        expect(names).to.include('simple');
+
+        done();
+      });
+    });
+
+    it('should skip the disabled package when loading packages', function (done) {
+      const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-packages');
+      Fs.removeSync(searchPath);
+      Fs.copySync(path, Path.join(searchPath, 'simple'));
+      Editor.Package.addPath(searchPath);
+
+      Editor.Package.disable('simple', () => {
+        Editor.loadPackagesAt(searchPath, () => {
+          expect(Editor.Package.packagePath('simple')).to.eql(undefined);
+
+          Editor.Package.removePath(searchPath);
+          Fs.removeSync(searchPath);
+          done();
+        });
+      });
+    });
+
+    it('should skip the disabled package by the name in package.json', function (done) {
+      const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-packages');
+      Fs.removeSync(searchPath);
+      Fs.copySync(path, Path.join(searchPath, 'simple-copy'));
+      Editor.Package.addPath(searchPath);
+
+      Editor.Package.disable('simple', () => {
+        Editor.loadPackagesAt(searchPath, () => {
+          expect(Editor.Package.packagePath('simple')).to.eql(undefined);
+
+          Editor.Package.removePath(searchPath);
+          Fs.removeSync(searchPath);
+          done();
+        });
+      });
+    });
+
+    it('should enable and query the package by the name in package.json', function (done) {
+      Editor.Package.disable('renamed', () => {
+        let result = Editor.Package.queryInfo('renamed');
+        expect(result.status).to.eql('disabled');
+        expect(result.path).to.eql(renamedPath);
+        expect(result.info.name).to.eql('renamed');
+
+        Editor.Package.enable('renamed', err => {
+          assert( !err );
+          expect(Editor.Package.packagePath('renamed')).to.eql(renamedPath);
+          done();
+        });
+      });
+    });
+
+    it('should close the panels of the dependents when disabled', function (done) {
+      Editor.Package.load(Path.join(testPackages,'package-deps'), () => {
+        sinon.spy( Editor.Panel, 'closeAll' );
+
+        Editor.Package.disable('dep-02', () => {
+          let names = Editor.Panel.closeAll.args.map(args => args[0]);
+          Editor.Panel.closeAll.restore();
+
+          expect(names).to.eql(['dep-02', 'package-deps', 'dep-01']);
+          expect(Editor.Package.packagePath('package-deps')).to.eql(undefined);
+          done();
+        });
+      });
+    });
+
+    it('should load the package when enabled', function (done) {
+      Editor.Package.disable('simple', () => {
+        Editor.Package.enable('simple', () => {
+          expect(Editor.Package.isEnabled('simple')).to.eql(true);
+          expect(Editor.Package.packagePath('simple')).to.eql(path);
+          expect(Editor.Package.queryInfo('simple').enabled).to.eql(true);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('search paths changed at runtime', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-runtime-paths');
+    const searchPath2 = Path.join(Os.tmpdir(), 'editor-framework-test-runtime-paths-2');
+    let savedPaths;
+
+    beforeEach(function (done) {
+      Fs.removeSync(searchPath);
+      Fs.removeSync(searchPath2);
+      Helper.writePackage(searchPath, 'runtime-foo');
+      Helper.writePackage(searchPath2, 'runtime-foo', { version: '2.0.0' });
+      Helper.writePackage(searchPath2, 'runtime-bar');
+
+      savedPaths = Editor.Package.paths;
+      Editor.Package.resetPath(() => {
+        Editor.Package.addPath(searchPath, () => {
+          Editor.loadAllPackages(() => {
+            Helper.reset();
+            done();
+          });
+        });
+      });
+    });
+
+    afterEach(function (done) {
+      Editor.unloadAllPackages(() => {
+        Editor.Package.resetPath();
+        Editor.Package.addPath(savedPaths);
+
+        Fs.removeSync(searchPath);
+        Fs.removeSync(searchPath2);
+        done();
+      });
+    });
+
+    it('should load the packages under the added path', function (done) {
+      expect(Editor.Package.packagePath('runtime-foo')).to.eql(Path.join(searchPath, 'runtime-foo'));
+
+      Editor.Package.addPath(searchPath2, () => {
+        expect(Editor.Package.packagePath('runtime-bar')).to.eql(Path.join(searchPath2, 'runtime-bar'));
+
+        // the package loaded from the other path is kept
+        expect(Editor.Package.packagePath('runtime-foo')).to.eql(Path.join(searchPath, 'runtime-foo'));
+
+        assert( Helper.sendToAll.calledWith(
+          'package:search-paths-changed', [searchPath, searchPath2], [searchPath2], []
+        ));
+        done();
+      });
+    });
+
+    it('should unload the packages under the removed path', function (done) {
+      Async.series([
+        next => { Editor.Package.addPath(searchPath2, next); },
+        next => { Editor.Package.removePath(searchPath2, next); },
+      ], () => {
+        expect(Editor.Package.packagePath('runtime-bar')).to.eql(undefined);
+        expect(Editor.Package.packagePath('runtime-foo')).to.eql(Path.join(searchPath, 'runtime-foo'));
+
+        assert( Helper.sendToAll.calledWith(
+          'package:search-paths-changed', [searchPath], [], [searchPath2]
+        ));
+        done();
+      });
+    });
+
+    it('should load the packages shadowed by the ones under the removed path', function (done) {
+      Helper.writePackage(searchPath2, 'runtime-app', {
+        pkgDependencies: { 'runtime-foo': '*' },
+      });
+
+      Async.series([
+        next => { Editor.Package.addPath(searchPath2, next); },
+        next => {
+          expect(Editor.Package.packagePath('runtime-app')).to.eql(Path.join(searchPath2, 'runtime-app'));
+          Editor.Package.removePath(searchPath, next);
+        },
+      ], () => {
+        expect(Editor.Package.packagePath('runtime-foo')).to.eql(Path.join(searchPath2, 'runtime-foo'));
+
+        // the dependent unloaded along with the removed package comes back
+        expect(Editor.Package.packagePath('runtime-app')).to.eql(Path.join(searchPath2, 'runtime-app'));
+        done();
+      });
+    });
+
+    it('should sync the paths in order when removing and adding them in a row', function (done) {
+      Editor.Package.resetPath();
+      Editor.Package.addPath(searchPath2, () => {
+        expect(Editor.Package.paths).to.eql([searchPath2]);
+        expect(Editor.Package.packagePath('runtime-foo')).to.eql(Path.join(searchPath2, 'runtime-foo'));
+        expect(Editor.Package.packagePath('runtime-bar')).to.eql(Path.join(searchPath2, 'runtime-bar'));
+        done();
+      });
+    });
+  });
+
+  describe('watch packages', function () {
+    const searchPath = Path.join(Os.tmpdir(), 'editor-framework-test-watch');
+    const path = Path.join(searchPath, 'watch-foo');
+    let savedPaths;
+
+    this.timeout(5000);
+    Helper.useTmpProfile('local');
+
+    function _writePackage ( main ) {
+      Helper.writePackage(searchPath, 'watch-foo', {
+        main: 'main.js',
+      }, {
+        'main.js': main || 'module.exports = {};',
+      });
+    }
+
+    function _waitFor ( check, cb ) {
+      let id = setInterval(() => {
+        if ( check() ) {
+          clearInterval(id);
+          cb ();
+        }
+      }, 50);
+    }
+
+    beforeEach(function (done) {
+      Fs.removeSync(searchPath);
+      Fs.ensureDirSync(searchPath);
+
+      savedPaths = Editor.Package.paths;
+      Editor.Package.resetPath();
+      Editor.Package.addPath(searchPath);
+
+      Helper.reset();
+      sinon.spy(Editor.Package, 'load');
+      Editor.watchPackages(done);
+    });
+
+    afterEach(function (done) {
+      Editor.unwatchPackages();
+      Editor.Package.load.restore();
+
+      Editor.Package.enable('watch-foo', () => {
+        Editor.Package.unload(path, () => {
+          Editor.Package.resetPath();
+          Editor.Package.addPath(savedPaths);
+          Fs.removeSync(searchPath);
+          done();
+        });
+      });
+    });
+
+    it('should load the package added and unload it when removed', function (done) {
+      _writePackage();
+
+      _waitFor(() => Editor.Package.packagePath('watch-foo') === path, () => {
+        Fs.removeSync(path);
+
+        _waitFor(() => !Editor.Package.packagePath('watch-foo'), () => {
+          assert( Helper.sendToWindows.calledWith('package:unloaded', 'watch-foo') );
+          done();
+        });
+      });
+    });
+
+    it('should ignore the disabled package', function (done) {
+      Editor.Package.disable('watch-foo', () => {
+        _writePackage();
+
+        setTimeout(() => {
+          expect(Editor.Package.load.callCount).to.eql(0);
+          done();
+        }, 1500);
+      });
+    });
+
+    it('should not load the failed package again until it removed', function (done) {
+      _writePackage('throw new Error("foobar");');
+
+      _waitFor(() => Editor.Package.load.callCount === 1, () => {
+        expect(Editor.Package.queryInfo('watch-foo').status).to.eql('failed');
+        Fs.writeFileSync(Path.join(path, 'foobar.js'), '');
+
+        setTimeout(() => {
+          expect(Editor.Package.load.callCount).to.eql(1);
+
+          Fs.removeSync(path);
+          _waitFor(() => Editor.Package.queryInfo('watch-foo').status !== 'failed', () => {
+            _writePackage();
+            _waitFor(() => Editor.Package.packagePath('watch-foo') === path, done);
+          });
+        }, 1500);
+      });
+    });
+  });
+
+  describe('load timings', function () {
+    const path = Path.join(testPackages,'package-deps');
+
+    before(function () {
+      Editor.Package.addPath(testPackages);
+    });
+
+    // NOTE: keep testPackages, it is the search path of the whole suite
+    after(function (done) {
+      Async.series([
+        next => { Editor.Package.unload(path, next); },
+        next => { Editor.Package.unload(Path.join(testPackages,'dep-01'), next); },
+        next => { Editor.Package.unload(Path.join(testPackages,'dep-02'), next); },
+      ], done);
+    });
+
+    it('should record the time of each phase when loading', function (done) {
+      Editor.Package.load(path, () => {
+        let timings = Editor.Package.timings();
+        let timing = timings.filter(timing => timing.name === 'package-deps')[0];
+
+        expect(timing.path).to.eql(path);
+        expect(timing.failed).to.eql(false);
+        expect(timing.phases).to.have.all.keys(
+          'manifest', 'hosts', 'deps', 'build', 'i18n', 'require', 'load', 'register'
+        );
+        expect(timing.self).to.be.at.most(timing.total);
+
+        let names = timings.map(timing => timing.name);
+        expect(names).to.include('dep-01');
+        expect(names).to.include('dep-02');
+
+        for ( let i = 1; i < timings.length; ++i ) {
+          expect(timings[i].self).to.be.at.most(timings[i-1].self);
+        }
+
+        done();
+      });
+    });
+  });
+
   // it.skip('should build fixtures/packages/needs-build', function( done ) {
   // });
 
@@ -0,0 +1,314 @@
+'use strict';
+
+const Fs = require('fire-fs');
+const Path = require('fire-path');
+const Os = require('os');
+
+describe('Editor.loadProfile', function () {
+  const profilePath = Path.join(Os.tmpdir(), 'editor-framework-test-profiles');
+
+  Helper.run({});
+
+  before(function () {
+    Fs.removeSync(profilePath);
+    Fs.ensureDirSync(profilePath);
+    Editor.registerProfilePath( 'test', profilePath );
+  });
+
+  after(function () {
+    Fs.removeSync(profilePath);
+  });
+
+  beforeEach(function () {
+    Helper.reset();
+  });
+
+  it('should send profile:changed with the changed keys when saving', function () {
+    let profile = Editor.loadProfile( 'save-changed', 'test', {
+      foo: 'foo',
+      bar: 'bar',
+    });
+
+    profile.foo = 'hello foo';
+    profile.save();
+
+    assert( Helper.sendToAll.calledWith(
+      'profile:changed', 'save-changed', 'test', ['foo'], { foo: 'hello foo', bar: 'bar' }
+    ));
+  });
+
+  it('should not send profile:changed when nothing changed', function () {
+    let profile = Editor.loadProfile( 'save-unchanged', 'test', {
+      foo: 'foo',
+    });
+
+    profile.save();
+
+    assert( Helper.sendToAll.neverCalledWith('profile:changed') );
+  });
+
+  it('should reload the profile when its file changed on the disk', function ( done ) {
+    this.timeout(5000);
+
+    let profile = Editor.loadProfile( 'file-changed', 'test', {
+      foo: 'foo',
+    });
+    profile.save();
+    Helper.reset();
+
+    // NOTE: wait for the watcher to get ready
+    setTimeout(() => {
+      Fs.writeFileSync(
+        Path.join(profilePath, 'file-changed.json'),
+        JSON.stringify({ foo: 'foo', bar: 'bar' })
+      );
+    }, 500);
+
+    let id = setInterval(() => {
+      if ( !Helper.sendToAll.calledWith('profile:changed') ) {
+        return;
+      }
+
+      clearInterval(id);
+      assert( Helper.sendToAll.calledWith(
+        'profile:changed', 'file-changed', 'test', ['bar'], { foo: 'foo', bar: 'bar' }
+      ));
+      expect(profile.bar).to.eql('bar');
+      expect(profile.save).to.be.a('function');
+      done();
+    }, 100);
+  });
+
+  describe('migrations', function () {
+    function _writeProfile ( name, data ) {
+      Fs.writeFileSync(Path.join(profilePath, `${name}.json`), JSON.stringify(data));
+    }
+
+    it('should apply the migrations in order before reconciling', function () {
+      _writeProfile('migrate', { version: 1, size: 12 });
+
+      Editor.registerProfileMigration( 'migrate', 3, data => {
+        data.fontSize = data.fontSize * 2;
+      });
+      Editor.registerProfileMigration( 'migrate', 2, data => {
+        data.fontSize = data.size;
+        delete data.size;
+      });
+
+      let profile = Editor.loadProfile( 'migrate', 'test', {
+        fontSize: 10,
+      });
+
+      expect(profile.version).to.eql(3);
+      expect(profile.fontSize).to.eql(24);
+      expect(profile.size).to.eql(undefined);
+
+      let data = JSON.parse(Fs.readFileSync(Path.join(profilePath, 'migrate.json')));
+      expect(data).to.eql({ version: 3, fontSize: 24 });
+    });
+
+    it('should keep the data and the file when a migration failed', function () {
+      _writeProfile('migrate-failed', { version: 1, size: 12 });
+
+      Editor.registerProfileMigration( 'migrate-failed', 2, data => {
+        data.fontSize = data.size;
+        delete data.size;
+      });
+      Editor.registerProfileMigration( 'migrate-failed', 3, () => {
+        throw new Error('foobar');
+      });
+
+      sinon.stub( Editor, 'error' );
+      let profile = Editor.loadProfile( 'migrate-failed', 'test' );
+      let errorCount = Editor.error.callCount;
+      Editor.error.restore();
+
+      expect(errorCount).to.eql(1);
+      expect(profile.version).to.eql(1);
+      expect(profile.size).to.eql(12);
+      expect(profile.fontSize).to.eql(undefined);
+
+      let data = JSON.parse(Fs.readFileSync(Path.join(profilePath, 'migrate-failed.json')));
+      expect(data).to.eql({ version: 1, size: 12 });
+    });
+
+    it('should mark the new profile with the latest version', function () {
+      Editor.registerProfileMigration( 'migrate-new', 2, data => {
+        data.foo = 'bar';
+      });
+
+      let profile = Editor.loadProfile( 'migrate-new', 'test', {
+        foo: 'foo',
+      });
+
+      expect(profile.version).to.eql(2);
+      expect(profile.foo).to.eql('foo');
+    });
+  });
+
+  describe('schema', function () {
+    before(function () {
+      Editor.registerProfileSchema( 'schema', {
+        name: 'string',
+        fontSize: { type: 'number', validate: value => value > 0 || 'must be positive' },
+        theme: { type: 'string', enum: ['dark', 'light'] },
+        plugins: { type: 'array', required: true },
+      });
+    });
+
+    it('should report each invalid field', function () {
+      let errors = Editor.validateProfile( 'schema', {
+        name: 10,
+        fontSize: -1,
+        theme: 'blue',
+      });
+
+      expect(errors).to.eql([
+        { key: 'name', message: 'expect string but got number' },
+        { key: 'fontSize', message: 'must be positive' },
+        { key: 'theme', message: 'expect one of ["dark","light"]' },
+        { key: 'plugins', message: 'required' },
+      ]);
+    });
+
+    it('should keep the invalid fields when loading', function () {
+      Fs.writeFileSync(
+        Path.join(profilePath, 'schema.json'),
+        JSON.stringify({ name: 10, extra: true })
+      );
+
+      let profile = Editor.loadProfile( 'schema', 'test', {
+        name: 'foobar',
+        plugins: [],
+      });
+
+      expect(profile.name).to.eql(10);
+      expect(profile.extra).to.eql(true);
+      expect(profile.plugins).to.eql([]);
+      assert( Helper.sendToWindows.calledWith('console:warn') );
+    });
+  });
+
+  describe('recovery', function () {
+    function _corruptedFiles ( name ) {
+      return Fs.readdirSync(profilePath).filter(file => {
+        return file.indexOf(`${name}.json.corrupted-`) === 0;
+      });
+    }
+
+    it('should keep the last profile as backup when saving', function () {
+      let profile = Editor.loadProfile( 'backup', 'test', {
+        foo: 'foo',
+      });
+
+      profile.foo = 'bar';
+      profile.save();
+
+      let file = Path.join(profilePath, 'backup.json');
+      expect(JSON.parse(Fs.readFileSync(file))).to.eql({ foo: 'bar' });
+      expect(JSON.parse(Fs.readFileSync(`${file}.bak`))).to.eql({ foo: 'foo' });
+      expect(Fs.existsSync(`${file}.tmp`)).to.eql(false);
+    });
+
+    it('should restore the corrupted profile from the backup', function () {
+      let file = Path.join(profilePath, 'restore.json');
+      Fs.writeFileSync(file, '{ "foo": "hel');
+      Fs.writeFileSync(`${file}.bak`, JSON.stringify({ foo: 'hello' }));
+
+      let profile = Editor.loadProfile( 'restore', 'test', {
+        foo: 'foo',
+      });
+
+      expect(profile.foo).to.eql('hello');
+      expect(JSON.parse(Fs.readFileSync(file))).to.eql({ foo: 'hello' });
+
+      let corruptedFiles = _corruptedFiles('restore');
+      expect(corruptedFiles.length).to.eql(1);
+      expect(Fs.readFileSync(Path.join(profilePath, corruptedFiles[0]), 'utf8')).to.eql('{ "foo": "hel');
+    });
+
+    it('should use the default profile when there is no backup', function () {
+      Fs.writeFileSync(Path.join(profilePath, 'no-backup.json'), 'foobar');
+
+      let profile = Editor.loadProfile( 'no-backup', 'test', {
+        foo: 'foo',
+      });
+
+      expect(profile.foo).to.eql('foo');
+      expect(_corruptedFiles('no-backup').length).to.eql(1);
+    });
+  });
+
+  describe('layers', function () {
+    let type2profilepath;
+
+    before(function () {
+      type2profilepath = Editor._type2profilepath;
+      Editor._type2profilepath = {};
+
+      ['project', 'local', 'global'].forEach(type => {
+        let path = Path.join(profilePath, type);
+        Fs.ensureDirSync(path);
+        Editor.registerProfilePath( type, path );
+      });
+
+      Fs.writeFileSync(
+        Path.join(profilePath, 'project', 'layers.json'),
+        JSON.stringify({ tabSize: 2, theme: 'dark' })
+      );
+      Fs.writeFileSync(
+        Path.join(profilePath, 'global', 'layers.json'),
+        JSON.stringify({ theme: 'light', fontSize: 12 })
+      );
+    });
+
+    after(function () {
+      Editor._type2profilepath = type2profilepath;
+    });
+
+    it('should resolve the key from project, local, global and then defaults', function () {
+      let profile = Editor.loadLayeredProfile( 'layers', {
+        fontSize: 14,
+        lineHeight: 20,
+      });
+
+      expect(profile.get('theme')).to.eql('dark');
+      expect(profile.source('theme')).to.eql('project');
+      expect(profile.get('fontSize')).to.eql(12);
+      expect(profile.source('fontSize')).to.eql('global');
+      expect(profile.get('lineHeight')).to.eql(20);
+      expect(profile.source('lineHeight')).to.eql('default');
+      expect(profile.source('foobar')).to.eql(null);
+
+      expect(profile.resolve()).to.eql({
+        tabSize: 2,
+        theme: 'dark',
+        fontSize: 12,
+        lineHeight: 20,
+      });
+
+      // no file should be created for the local scope
+      expect(Fs.existsSync(Path.join(profilePath, 'local', 'layers.json'))).to.eql(false);
+    });
+
+    it('should write the value to the scope the caller picks', function () {
+      let profile = Editor.loadLayeredProfile( 'layers' );
+
+      profile.set( 'fontSize', 16 );
+      expect(profile.get('fontSize')).to.eql(16);
+      expect(profile.source('fontSize')).to.eql('local');
+
+      let data = JSON.parse(Fs.readFileSync(Path.join(profilePath, 'local', 'layers.json')));
+      expect(data).to.eql({ fontSize: 16 });
+
+      profile.set( 'tabSize', 4, 'project' );
+      expect(profile.get('tabSize')).to.eql(4);
+
+      expect(profile.remove( 'fontSize', 'local' )).to.eql(true);
+      expect(profile.get('fontSize')).to.eql(12);
+      expect(profile.source('fontSize')).to.eql('global');
+
+      expect(profile.set( 'fontSize', 16, 'foobar' )).to.eql(false);
+    });
+  });
+});
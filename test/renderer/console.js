@@ -0,0 +1,38 @@
+'use strict';
+
+describe('Editor.error in page', function () {
+  beforeEach(function () {
+    sinon.stub( Editor, 'sendToCore' );
+    sinon.stub( console, 'error' );
+  });
+
+  afterEach(function () {
+    Editor.sendToCore.restore();
+    console.error.restore();
+  });
+
+  it('should show the stack of the error instead of the call stack', function () {
+    let err = new Error('foobar');
+    err.stack = [
+      'Error: foobar',
+      '    at foo (/foo/bar.js:10:20)',
+    ].join('\n');
+
+    Editor.error(err);
+
+    let record = Editor.sendToCore.lastCall.args[1];
+    expect(record.message).to.eql(err.stack);
+    expect(record.frames.length).to.eql(1);
+    expect(record.frames[0].function).to.eql('foo');
+    expect(record.frames[0].line).to.eql(10);
+    expect(record.frames[0].column).to.eql(20);
+  });
+
+  it('should append the call stack when there is no error', function () {
+    Editor.error('foobar');
+
+    let record = Editor.sendToCore.lastCall.args[1];
+    expect(record.message.indexOf('foobar\n')).to.eql(0);
+    expect(record.frames.length).to.be.above(0);
+  });
+});
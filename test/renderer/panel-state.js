@@ -0,0 +1,110 @@
+'use strict';
+
+describe('Editor.Panel states', function () {
+  const panelID = 'panel-state.panel';
+  const statelessID = 'panel-state.stateless';
+
+  beforeEach(function () {
+    sinon.stub( Editor, 'sendRequestToCore', ( channel, panelID, cb ) => {
+      cb({
+        path: Editor.url('editor-framework://test/fixtures'),
+        frame: panelID === statelessID ? 'panel-stateless.html' : 'panel-state.html',
+        title: panelID,
+        messages: [],
+      });
+    });
+    sinon.stub( Editor, 'sendToCore' );
+    sinon.stub( Editor.Dialog, 'messageBox' ).returns(1);
+  });
+
+  afterEach(function () {
+    Editor.sendRequestToCore.restore();
+    Editor.sendToCore.restore();
+    Editor.Dialog.messageBox.restore();
+
+    Editor.Panel.unload(panelID);
+    Editor.Panel.unload(statelessID);
+    window.sessionStorage.clear();
+  });
+
+  it('should dump the states of the panels implement panel:dump-state', function ( done ) {
+    Editor.Panel.load(panelID, ( err, frameEL ) => {
+      frameEL.foo = 'bar';
+
+      expect(Editor.Panel.dumpStates()).to.eql({
+        'panel-state.panel': { foo: 'bar' },
+      });
+      done();
+    });
+  });
+
+  it('should restore the saved state once when the panel loaded again', function ( done ) {
+    Editor.Panel.load(panelID, ( err, frameEL ) => {
+      frameEL.foo = 'bar';
+      Editor.Panel.saveStates();
+      Editor.Panel.unload(panelID);
+
+      Editor.Panel.load(panelID, ( err, frameEL ) => {
+        expect(frameEL.foo).to.eql('bar');
+        expect(window.sessionStorage.getItem('editor-panel:states')).to.eql(null);
+
+        Editor.Panel.unload(panelID);
+        Editor.Panel.load(panelID, ( err, frameEL ) => {
+          expect(frameEL.foo).to.eql('foo');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should tell if the panel can keep its state', function ( done ) {
+    Editor.Panel.load(panelID, () => {
+      Editor.Panel.load(statelessID, () => {
+        expect(Editor.Panel.canKeepState(panelID)).to.eql(true);
+        expect(Editor.Panel.canKeepState(statelessID)).to.eql(false);
+        expect(Object.keys(Editor.Panel.dumpStates())).to.eql([panelID]);
+        done();
+      });
+    });
+  });
+
+  it('should reload the panel in place and keep its state', function ( done ) {
+    Editor.Panel.load(panelID, ( err, frameEL ) => {
+      Editor.Panel.load(statelessID, ( err, statelessEL ) => {
+        let dockPanelEL = document.createElement('editor-dock-panel');
+        dockPanelEL.add(frameEL);
+        dockPanelEL.add(statelessEL);
+        dockPanelEL.select(0);
+        dockPanelEL.outOfDate(frameEL);
+        document.body.appendChild(dockPanelEL);
+
+        frameEL.foo = 'bar';
+        Editor.Panel.reload(panelID, ( err, newFrameEL ) => {
+          assert( !err );
+          expect(newFrameEL).to.not.equal(frameEL);
+          expect(newFrameEL.foo).to.eql('bar');
+          expect(Editor.Panel.find(panelID)).to.equal(newFrameEL);
+          expect(Editor.Panel.find(statelessID)).to.equal(statelessEL);
+
+          let tabEL = dockPanelEL.activeTab;
+          expect(tabEL.frameEL).to.equal(newFrameEL);
+          expect(tabEL.outOfDate).to.eql(false);
+          expect(newFrameEL.parentNode).to.equal(dockPanelEL);
+          expect(frameEL.parentNode).to.eql(null);
+
+          document.body.removeChild(dockPanelEL);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should ask before reloading the panel can not keep its state', function ( done ) {
+    Editor.Panel.load(statelessID, ( err, frameEL ) => {
+      expect(Editor.Panel.confirmReload(statelessID)).to.eql(false);
+      assert( Editor.Dialog.messageBox.calledOnce );
+      expect(Editor.Panel.find(statelessID)).to.equal(frameEL);
+      done();
+    });
+  });
+});